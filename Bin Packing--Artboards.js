@@ -16,8 +16,12 @@
  *     of attempts: sometimes it will hit on a winner.
  *   - the first 5 attempts always use pre-set sort
  *     functions, chosen as being most likely to provide
- *     a good result; after that every attempt just
- *     does a random shuffle.
+ *     a good result; after that each attempt is made
+ *     by the chosen optimizer: simulated annealing or a
+ *     genetic algorithm improve on the best attempts so
+ *     far, while random shuffle just starts afresh.
+ *     When cycling through the placement rules, each
+ *     sort function is tried once with every rule.
  *   - the pre-calculated Max Attempts number doesn't
  *     mean much; feel free to adjust.
  *   - the Random button runs a single, random-shuffled
@@ -39,7 +43,13 @@
  * @discussion https://community.adobe.com/t5/illustrator-discussions/how-to-organize-multiple-different-objects-on-one-sheet-with-a-defined-gap-inbetween-them/m-p/12475475#M295934
  */
 //@include 'Packer.js'
+//@include 'GuillotinePacker.js'
+//@include 'SkylinePacker.js'
 //@include 'packer-blocks.js'
+
+// the most artboards Illustrator allows in a document
+var MAX_ARTBOARD_COUNT = 1000;
+
 (function () {
 
     if (
@@ -59,6 +69,12 @@
         // space between items, in pts, or can use 'mm' or 'inch'
         padding: '1mm',
 
+        // more space around particular items, by layer name, eg.
+        // { 'Labels': '3mm', 'Tickets': '1mm/2mm' } - an item can also
+        // have its own tag, eg. "padding:3mm" or "padding-left:4mm";
+        // neighbours are kept apart by the larger of their paddings
+        paddingByLayer: {},
+
         // space around edges of artboards, in pts, or can use 'mm' or 'inch'
         margin: '5mm',
 
@@ -70,10 +86,133 @@
         // in practice this may cause rotation between 0 and 90°
         allowAnyRotation: true,
 
-        // choose 'count' to prefer item count,
-        // or 'area' to prefer area packed
+        // how to score each attempt: 'count' prefers item count,
+        // 'area' prefers area packed, 'waste' the least waste,
+        // 'bounding-box' the smallest bounding box of the items,
+        // 'rotations' the fewest rotated items, 'largest-offcut'
+        // the largest free rectangle left over, or the name of
+        // one of `scoringStrategies`
         bestFitBy: 'count',
 
+        // your own scoring strategies, by name, for `bestFitBy`,
+        // see `SCORING_STRATEGIES` in packer-blocks.js, eg.
+        // { 'top-heavy': function (attempt, context) { ... } }
+        scoringStrategies: undefined,
+
+        // how the packer chooses where to put each item:
+        // 'first-fit', 'best-short-side', 'best-long-side',
+        // 'best-area', 'bottom-left' or 'contact-point'
+        // - leave undefined to cycle through every rule across attempts
+        placementRule: undefined,
+
+        // rules pinning items to artboards, matched by tag, layer or
+        // fill swatch, eg. [{ tag: 'client:A', bins: '1-2' },
+        // { layer: 'Client B', bins: '3' }] - the bins are artboard
+        // numbers or names, or bin numbers like '#5', as shown in the
+        // results; an item can also have its own tag, eg. "bin:1-2"
+        binRules: [],
+
+        // the corner of each artboard to start packing from: 'top-left',
+        // 'top-right', 'bottom-left' or 'bottom-right', eg. the
+        // gripper edge, or 'all' to try each corner across attempts
+        packingOrigin: 'top-left',
+
+        // whether to fill 'rows' or 'columns' first
+        fillDirection: 'rows',
+
+        // how items are shared between the artboards: 'in-order' fills
+        // each artboard in turn, passing what's left on to the next;
+        // 'best-fit' decides across all the artboards, putting each
+        // item into the fullest artboard that it fits
+        binAssignment: 'in-order',
+
+        // whether to spread the items evenly across the artboards,
+        // rather than using as few artboards as possible: by item
+        // count or by area, following `bestFitBy`
+        balanceBins: false,
+
+        // items with the same "group" tag, eg. "group:card-17", always
+        // go on the same artboard; also choose whether each group's
+        // items must touch, side by side
+        keepGroupsAdjacent: false,
+
+        // how to search for better attempts after the preset sorts:
+        // 'annealing' (simulated annealing), 'genetic' (genetic
+        // algorithm) or 'shuffle' (a random shuffle every attempt)
+        optimizer: 'annealing',
+
+        // the seed for every random choice: the same items, settings
+        // and seed always give the same packing - leave undefined
+        // for a new seed every time (the seed used is in the results)
+        seed: undefined,
+
+        // choose 'maxrects' for the normal packer, or 'guillotine'
+        // for layouts that can be separated by edge-to-edge cuts
+        packerType: 'maxrects',
+
+        // whether to pack full-bleed items by their trim boxes (a path
+        // named "trim" in the item, or else its geometric bounds), so
+        // that neighbouring bleeds overlap, and are clipped where they
+        // meet; `padding` is then the space between the trim boxes
+        bleedMode: false,
+
+        // whether to draw the guillotine cuts, or the
+        // trim lines in bleed mode, on a "Cut Lines" layer
+        drawCutLines: false,
+
+        // with this many items or more, the 'maxrects' packer
+        // is swapped for the much faster 'skyline' packer
+        skylineItemCount: 1000,
+
+        // whether to keep packed items away from locked artwork,
+        // and from artwork on the keep-out layer
+        useKeepOutZones: false,
+
+        // the name of the keep-out layer (not case-sensitive)
+        keepOutLayerName: 'keep-out',
+
+        // whether to add new artboards, like the last artboard,
+        // when items remain after filling the existing artboards
+        addBinsAsNeeded: false,
+
+        // to find the smallest artboard that holds every item, and
+        // resize the active artboard to it, choose 'width' to keep
+        // its width, 'aspect' to keep its proportions, or 'area'
+        // for the smallest area - leave undefined to turn off
+        fitBinToItems: undefined,
+
+        // after packing, slide the items toward a corner of each
+        // artboard, closing up any gaps: 'top-left', 'top-right',
+        // 'bottom-left' or 'bottom-right' - leave undefined to turn off
+        compactToward: undefined,
+
+        // where to put the packed items within each artboard: 'top-left',
+        // 'top', 'top-right', 'left', 'center', 'right', 'bottom-left',
+        // 'bottom' or 'bottom-right', or 'justify' to spread them
+        // out to fill the artboard
+        alignItems: 'top-left',
+
+        // strip packing, for roll-fed media: packs every item onto
+        // the first artboard, as short as possible, then fits
+        // the artboard's length to the packed items
+        stripPacking: false,
+
+        // closed paths on this layer are packed into, instead
+        // of the artboards, as shaped bins (not case-sensitive)
+        binsLayerName: 'bins',
+
+        // whether the largest selected closed path is packed into
+        useSelectedPathAsBin: false,
+
+        // the number of copies of each item to pack, in selection order
+        // - leave undefined to read each item's "qty:n" tag from
+        //   its name or note (default: 1 copy)
+        quantities: undefined,
+
+        // how closely the packing follows the edges of a shaped bin,
+        // in pts, or can use 'mm' or 'inch'
+        shapedBinResolution: '2mm',
+
         // the maximum number of attempts at packing
         // - more attempts sometimes works better, but rarely.
         // - note that if `tryHarder` is off, and a solution is found,
@@ -81,6 +220,16 @@
         // - leave undefined to auto-calculate
         maxAttemptCount: undefined,
 
+        // keep making attempts for this many seconds, instead
+        // of `maxAttemptCount` attempts - leave undefined to turn off;
+        // the packing then depends on the computer's speed, so
+        // can't be repeated from its seed
+        searchSeconds: undefined,
+
+        // stop once every item is packed, using at least this
+        // much of the bins' area, eg. 0.85 - leave undefined to turn off
+        targetUtilization: undefined,
+
         // should we stop on first successul packing, or keep trying to improve?
         // when this is on, the packing will always make `maxAttemptCount` attempts.
         tryHarder: false,
@@ -143,14 +292,42 @@
  * @param {Document} settings.doc - an Illustrator Document.
  * @param {Array<PageItem>} settings.items - the items to pack.
  * @param {Number} [settings.padding] - the space to leave between packed items (default: 0).
+ * @param {Object} [settings.paddingByLayer] - more space around the items on particular layers, by layer name (default: none).
  * @param {Boolean} [settings.usePageMargins] - whether to use the artboard margins (default: false).
  * @param {Number} [settings.margin] - the distance between artboard edge and bin, if applicable (default: 0).
  * @param {Boolean} [settings.useGuidesToDivideBins] - whether to divide artboard bin by guides (default: false).
  * @param {Number} [settings.guidesMargin] - the margin to leave either side of each guide. (default: 0)
  * @param {Boolean} [settings.allow90DegreeRotation] - whether to allow rotation by 90° (default: false).
  * @param {Boolean} [settings.allowArbitraryRotation] - whether to allow rotation by any amount to better fit into a rectangle (default: false).
- * @param {String} [settings.bestFitBy] - can be 'count' or 'area' (default: 'count').
+ * @param {String} [settings.bestFitBy] - the name of the scoring strategy, see `SCORING_STRATEGIES` (default: 'count').
+ * @param {Object} [settings.scoringStrategies] - more scoring strategies, by name.
+ * @param {String} [settings.compactToward] - the corner to slide the packed items toward, if any (default: undefined).
+ * @param {String} [settings.alignItems] - where to put the packed items within each artboard, or 'justify' (default: 'top-left').
+ * @param {String} [settings.placementRule] - one of `Packer.PLACEMENT_RULES` (default: cycle through all rules).
+ * @param {Array<Object>} [settings.binRules] - rules pinning items to artboards (default: none).
+ * @param {Boolean} [settings.keepGroupsAdjacent] - whether each group's items must touch (default: false).
+ * @param {String} [settings.packingOrigin] - the corner to start packing from, or 'all' (default: 'top-left').
+ * @param {String} [settings.fillDirection] - 'rows' or 'columns' first (default: 'rows').
+ * @param {String} [settings.binAssignment] - 'in-order' or 'best-fit' (default: 'in-order').
+ * @param {Boolean} [settings.balanceBins] - whether to spread the items evenly across the artboards, by count or area (default: false).
+ * @param {String} [settings.optimizer] - 'annealing', 'genetic' or 'shuffle' (default: 'shuffle').
+ * @param {Number} [settings.seed] - the seed for every random choice, to repeat a packing (default: a new seed).
+ * @param {String} [settings.packerType] - 'maxrects' or 'guillotine' (default: 'maxrects').
+ * @param {Boolean} [settings.bleedMode] - whether to pack items by their trim boxes, overlapping and clipping their bleeds (default: false).
+ * @param {Boolean} [settings.drawCutLines] - whether to draw the guillotine cuts, or the trim lines in bleed mode, on a layer (default: false).
+ * @param {Number} [settings.skylineItemCount] - use the faster skyline packer when packing this many items or more (default: never).
+ * @param {Boolean} [settings.useKeepOutZones] - whether to avoid locked artwork and artwork on the keep-out layer (default: false).
+ * @param {String} [settings.keepOutLayerName] - the name of the keep-out layer (default: 'keep-out').
+ * @param {Boolean} [settings.addBinsAsNeeded] - whether to add artboards, like the last artboard, for the remaining items (default: false).
+ * @param {String} [settings.fitBinToItems] - resize the active artboard to fit the items, keeping its 'width' or 'aspect', or by least 'area' (default: off).
+ * @param {Boolean} [settings.stripPacking] - whether to pack onto the first artboard, as short as possible, and resize it to fit (default: false).
+ * @param {String} [settings.binsLayerName] - the name of the layer whose closed paths are shaped bins (default: 'bins').
+ * @param {Boolean} [settings.useSelectedPathAsBin] - whether to pack into the largest selected closed path (default: false).
+ * @param {Array<Number>} [settings.quantities] - the number of copies of each item to pack (default: each item's "qty" tag, or 1).
+ * @param {Number} [settings.shapedBinResolution] - how closely to follow the edges of shaped bins, in points (default: 5).
  * @param {Number} [settings.maxAttemptCount] - the maximum number of attempts made (default: calculated).
+ * @param {Number} [settings.searchSeconds] - keep making attempts for this many seconds, instead of `maxAttemptCount` attempts (default: off).
+ * @param {Number} [settings.targetUtilization] - stop once every item is packed, using at least this fraction of the bins' area (default: off).
  * @param {Boolean} [settings.tryHarder] - whether to keep trying, even after all items are packed (default: false).
  * @param {Boolean} [settings.showResults] - whether to show an alert message if any items couldn't be packed (default: false).
  * @param {Boolean} [settings.keepRemainingItemsSelected] - whether to deselect items, and only keep unpacked items selected afterwards (default: false).
@@ -167,20 +344,24 @@ function packItemsIllustrator(settings, randomAttempt) {
     // convert settings to points
     settings.padding = getUnitStringAsPoints(settings.padding);
     settings.margin = getUnitStringAsPoints(settings.margin);
+    settings.shapedBinResolution = getUnitStringAsPoints(settings.shapedBinResolution);
+
+    if (
+        settings.useSelectedPathAsBin
+        && undefined == settings.binPath
+    )
+        // the bin path isn't one of the items to pack
+        separateBinPath(settings, isClosedPathIllustrator);
 
     var doc = settings.doc || app.activeDocument,
         items = settings.items || doc.selection,
+        quantities = settings.quantities = settings.quantities || getItemQuantities(items),
         padding = settings.padding || 0,
         margin = settings.margin || 0,
-        allow90DegreeRotation = true === settings.allow90DegreeRotation,
         allowAnyRotation = true === settings.allowAnyRotation,
-        bestFitBy = settings.bestFitBy || 'count',
-        maxAttemptCount = randomAttempt ? 1 : (settings.maxAttemptCount || getMaxAttemptCount(items.length)),
-        preferCount = (bestFitBy == 'count'),
-        preferArea = (bestFitBy == 'area'),
         pb = settings.pb,
-        totalItemCount = items.length,
-        totalItemArea = 0;
+        totalItemCount = getCopyCount(items, quantities),
+        seed = settings.lastSeed = Number(settings.seed) || makeSeed();
 
     if (padding.constructor.name == 'String')
         padding = getUnitStringAsPoints(padding);
@@ -190,9 +371,30 @@ function packItemsIllustrator(settings, randomAttempt) {
 
     // make bins
     var bins = [],
-        artboards = doc.artboards;
+        artboards = doc.artboards,
+        stripPacking = true === settings.stripPacking,
+        fitBin = !stripPacking && undefined != settings.fitBinToItems,
+        binPaths = (stripPacking || fitBin) ? [] : settings.binPath ? [settings.binPath] : getBinPathsIllustrator(doc, settings.binsLayerName);
+
+    for (var i = 0; i < binPaths.length; i++) {
+
+        // a shaped bin: the bounds of the path,
+        // with everything outside the path as obstacles
+        var binBounds = artboardRectToBinBounds(binPaths[i].geometricBounds),
+            bin = {
+                path: binPaths[i],
+                bounds: binBounds,
+                width: binBounds[3] - binBounds[1] + padding,
+                height: binBounds[2] - binBounds[0] + padding,
+            };
+
+        bin.obstacles = getShapedBinObstacles(bin, getPathRingsIllustrator(binPaths[i]), padding, margin, settings.shapedBinResolution);
+        bins.push(bin);
 
-    for (var i = 0; i < artboards.length; i++) {
+    }
+
+    // otherwise the artboards are the bins
+    for (var i = 0; 0 === binPaths.length && i < artboards.length; i++) {
 
         var binBounds = artboardRectToBinBounds(artboards[i].artboardRect);
 
@@ -206,6 +408,7 @@ function packItemsIllustrator(settings, randomAttempt) {
 
         bins.push({
             artboard: artboards[i],
+            number: i + 1,
             bounds: binBounds,
             width: binBounds[3] - binBounds[1] + padding,
             height: binBounds[2] - binBounds[0] + padding,
@@ -213,6 +416,37 @@ function packItemsIllustrator(settings, randomAttempt) {
 
     }
 
+    if (stripPacking) {
+        // a single bin, the width of the first artboard,
+        // and as long as the largest possible artboard
+        bins = [bins[0]];
+        bins[0].isStrip = true;
+        bins[0].bounds[2] = bins[0].bounds[0] + MAX_BIN_SIZE - 2 * margin;
+        bins[0].height = bins[0].bounds[2] - bins[0].bounds[0] + padding;
+    }
+
+    if (
+        settings.addBinsAsNeeded
+        && !stripPacking
+        && !fitBin
+        && 0 === binPaths.length
+    )
+        // bins like the last artboard, which only
+        // become artboards if the packing uses them
+        bins = bins.concat(makeExtraBins([bins[bins.length - 1]], Math.min(totalItemCount, MAX_ARTBOARD_COUNT - artboards.length)));
+
+    if (settings.useKeepOutZones) {
+
+        // locked artwork, and artwork on the keep-out layer, are obstacles
+        var keepOutBounds = getKeepOutBoundsIllustrator(doc, settings.keepOutLayerName, settings.binsLayerName);
+
+        for (var i = 0; i < bins.length; i++) {
+            if (!bins[i].isExtra)
+                bins[i].obstacles = (bins[i].obstacles || []).concat(getBinObstacles(bins[i], keepOutBounds, padding));
+        }
+
+    }
+
     // add bins to settings because Block methods need them
     settings.bins = bins;
 
@@ -232,132 +466,144 @@ function packItemsIllustrator(settings, randomAttempt) {
     if (pb)
         pb.setItemsPackedProgress(0, totalItemCount);
 
-    // rotate the items to fit best in rectangle
-    if (allowAnyRotation) {
-
-        for (var i = 0; i < items.length; i++) {
+    // rotate the items to fit best in rectangle,
+    // unless an item's "rotate" tag says otherwise
+    for (var i = 0, rotation; i < items.length; i++) {
 
-            if (allowAnyRotation)
-                // rotate item to fit smallest rectangle
-                items[i].rotate(- findRotationByMinimalBoundsIllustrator(items[i]));
+        rotation = getItemRotation(items[i]);
 
-        }
+        if (
+            'any' === rotation
+            || (allowAnyRotation && undefined == rotation)
+        )
+            // rotate item to fit smallest rectangle
+            items[i].rotate(- findRotationByMinimalBoundsIllustrator(items[i]));
 
     }
 
     var bestAttempt;
 
-    attemptsLoop:
-    for (var a = 0; a < maxAttemptCount; a++) {
+    if (fitBin) {
 
-        if (pb)
-            pb.setAttemptProgress(a + 1, maxAttemptCount);
+        // search for the smallest artboard that holds every item
+        var artboardIndex = artboards.getActiveArtboardIndex();
 
-        var attempt = new Attempt(a, bins);
+        bestAttempt = fitBinToItems(settings, items, bins[artboardIndex], [margin, margin, margin, margin], keepOutBounds, seed);
 
-        // make a fresh array of 'blocks' which will store positioning information
-        for (var j = 0, block; j < items.length; j++) {
+        if (bestAttempt) {
 
-            block = new Block(settings, items[j], j);
-            attempt.remainingBlocks.push(block);
+            // resize the artboard, keeping its top-left corner
+            var artboardRect = artboards[artboardIndex].artboardRect;
 
-            if (a == 0)
-                totalItemArea += block.w * block.h;
+            artboardRect[2] = artboardRect[0] + bestAttempt.frameSize[0];
+            artboardRect[3] = artboardRect[1] - bestAttempt.frameSize[1];
+            artboards[artboardIndex].artboardRect = artboardRect;
+
+            bins = settings.bins = [bestAttempt.bin];
 
         }
 
-        if (!settings.doNotSort) {
-            // we use attempt.index as the `sortType`
-            // to cycle through each sorting method
-            // before resorting to random shuffle
-            sortBlocks(attempt, randomAttempt ? Infinity : attempt.index);
+        else {
+            settings.info.push('Could not fit every item onto one artboard.');
         }
 
-        binsLoop:
-        for (var i = 0; i < bins.length; i++) {
+    }
+
+    if (!bestAttempt)
+        bestAttempt = findBestAttempt(settings, items, bins, randomAttempt, seed);
 
-            var bin = bins[i],
+    // make the extra bins that were used into artboards
+    var binCount = addArtboardsForExtraBins(doc, bins.slice(0, bestAttempt.binCount));
 
-                // instantiate Trentium's packer
-                packer = new Packer(bin.width, bin.height, allow90DegreeRotation),
+    if (binCount < bestAttempt.binCount) {
+        var droppedCount = dropBins(bestAttempt, binCount);
+        settings.info.push('No room on the canvas for more artboards, so ' + droppedCount + ' item' + (droppedCount > 1 ? 's were' : ' was') + ' not packed.');
+    }
 
-                // do the fitting
-                result = packer.fit(attempt.remainingBlocks, i);
+    if (
+        stripPacking
+        && bestAttempt.packedBlocks.length > 0
+    )
+        // search for the shortest strip
+        shortenStrip(bestAttempt, bins[0], settings);
 
-            attempt.area += result.area;
-            attempt.binCount = i + 1;
-            attempt.packedBlocks = attempt.packedBlocks.concat(result.packedBlocks);
-            attempt.remainingBlocks = result.remainingBlocks.slice();
+    if (settings.compactToward)
+        // close up the gaps
+        compactBlocks(bestAttempt, bins, settings.compactToward, settings.padding, settings.keepGroupsAdjacent);
 
-            // calculate score for this bin
-            var scoreFactor = preferCount
-                ? totalItemCount / result.count
-                : totalItemArea / result.area;
+    // offset the packed items within each artboard
+    alignBlocks(bestAttempt, bins, settings.alignItems, settings.bleedMode, settings.keepGroupsAdjacent);
+
+    /** ------------------------- *
+     * Position items according   *
+     * to best packing attempt    *
+     * -------------------------- */
+    var finalPackedBlockCount = 0;
 
-            attempt.score += ((bin.width * bin.height) / result.area) * scoreFactor;
+    if (undefined != bestAttempt.packedBlocks) {
 
-            // add info for this attempt
-            attempt.info.push('Packed ' + result.count + ' items onto artboard ' + (i + 1) + '.');
+        finalPackedBlockCount = bestAttempt.packedBlocks.length;
 
-            packer.destroy();
+        // each packed copy needs its own item
+        duplicatePackedCopies(bestAttempt.packedBlocks);
 
-            if (0 === attempt.remainingBlocks.length)
-                break;
+        // position the items from the best attempt
+        for (var i = 0; i < finalPackedBlockCount; i++)
+            bestAttempt.packedBlocks[i].positionItemOnArtboard(settings);
 
-        } // end bin loop
+        if (settings.bleedMode) {
 
-        // an attempt with a lower binCount always wins
-        attempt.score += (bins.length - attempt.binCount) * 100;
-        attempt.score -= attempt.remainingBlocks.length * 100;
+            // clip each bleed where it meets a neighbour's
+            clipBleeds(bestAttempt, bins, settings.padding, settings.margin);
 
-        if (
-            undefined == bestAttempt
-            || attempt.score > bestAttempt.score
-        ) {
-            // the best attempt so far
-            bestAttempt = attempt;
-
-            if (pb) {
-                pb.setItemsPackedProgress(bestAttempt.packedBlocks.length, totalItemCount);
-                pb.setBestBinCount(bestAttempt.binCount, bestAttempt.index);
-            }
+            for (var i = 0; i < finalPackedBlockCount; i++)
+                bestAttempt.packedBlocks[i].clipItemOnArtboard(settings);
 
         }
 
-        if (settings.doNotSort)
-            // only need one attempt if not sorting
-            break;
+    }
 
-        // try a minimum of 5 times (once for each sort method)
-        if (
-            true !== settings.tryHarder
-            && a > 4
-            && 0 === bestAttempt.remainingBlocks.length
-        )
-            // all blocks are fitting so don't bother with more attempts
-            break;
+    if (undefined != bestAttempt.stripLength) {
 
-    } // end attempts loop
+        // fit the artboard's length to the strip, plus margins
+        var artboardRect = bins[0].artboard.artboardRect;
 
-    /** ------------------------- *
-     * Position items according   *
-     * to best packing attempt    *
-     * -------------------------- */
-    var finalPackedBlockCount = 0;
+        bestAttempt.rollLength = bestAttempt.stripLength + 2 * margin;
+        artboardRect[3] = artboardRect[1] - bestAttempt.rollLength;
+        bins[0].artboard.artboardRect = artboardRect;
 
-    if (undefined != bestAttempt.packedBlocks) {
+    }
 
-        finalPackedBlockCount = bestAttempt.packedBlocks.length;
+    if (bestAttempt.cuts.length > 0) {
 
-        // position the items from the best attempt
-        for (var i = 0; i < finalPackedBlockCount; i++)
-            bestAttempt.packedBlocks[i].positionItemOnArtboard(settings);
+        var cutLines = getCutLines(bestAttempt, settings);
+        bestAttempt.cutList = describeCutLines(cutLines, settings, true);
+
+        if (settings.drawCutLines)
+            drawCutLinesIllustrator(doc, cutLines, settings);
+
+    }
+
+    else if (
+        settings.bleedMode
+        && finalPackedBlockCount > 0
+    ) {
+
+        // the trim lines, with each shared cut listed once
+        var trimLines = bestAttempt.trimLines = getTrimLines(bestAttempt, settings);
+        bestAttempt.cutList = describeCutLines(trimLines, settings, true);
+
+        if (settings.drawCutLines)
+            drawCutLinesIllustrator(doc, trimLines, settings);
 
     }
 
     var remainingBlockCount = totalItemCount - finalPackedBlockCount;
 
     settings.info = settings.info.concat(bestAttempt.info);
+    bestAttempt.copyCounts = describeCopyCounts(bestAttempt, items, quantities);
+    bestAttempt.rotatedItems = describeRotatedItems(bestAttempt, items);
+    bestAttempt.unpackedReasons = describeUnpackedItems(bestAttempt, items, bins, settings.allow90DegreeRotation);
 
     if (remainingBlockCount > 0)
         settings.info.push(remainingBlockCount + ' item' + (remainingBlockCount > 1 ? 's' : '') + ' remaining.');
@@ -367,12 +613,8 @@ function packItemsIllustrator(settings, randomAttempt) {
 
     if (settings.keepRemainingItemsSelected) {
 
-        var selected = [];
-
-        for (var i = 0; i < bestAttempt.remainingBlocks.length; i++)
-            selected.push(bestAttempt.remainingBlocks[i].item);
-
-        doc.selection = selected;
+        // the items with no copies packed
+        doc.selection = getUnpackedItems(bestAttempt);
 
     }
 
@@ -410,19 +652,77 @@ function ui(settings) {
         marginLabel = marginGroup.add('statictext { text: "Artboard margin:" }'),
         marginField = marginGroup.add('edittext {text: "", preferredSize: [120,-1] }'),
 
+        keepOutGroup = panel1.add("group {orientation:'column', alignment:['left','top'], alignChildren: ['left','top'], margins:[0,10,0,0], preferredSize: [120,-1] }"),
+        keepOutCheckbox = keepOutGroup.add("Checkbox { alignment:'left', text:'Avoid keep-out zones', margins:[0,10,0,0], value:true }"),
+        binPathCheckbox = keepOutGroup.add("Checkbox { alignment:'left', text:'Pack into selected path', margins:[0,10,0,0], value:false }"),
+
+        compactGroup = panel1.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        compactLabel = compactGroup.add('statictext { text:"Compact toward:" }'),
+        compactMenu = compactGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
+        alignGroup = panel1.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        alignLabel = alignGroup.add('statictext { text:"Align items:" }'),
+        alignMenu = alignGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
+        originGroup = panel1.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        originLabel = originGroup.add('statictext { text:"Start from:" }'),
+        originMenu = originGroup.add('dropDownList { preferredSize:[120,-1] }'),
+        fillDirectionMenu = originGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
         maxAttemptsGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
         maxAttemptsLabel = maxAttemptsGroup.add('statictext { text:"Max attempts:" }'),
         maxAttemptsField = maxAttemptsGroup.add('edittext { text: "", preferredSize: [120,-1] }'),
 
+        searchGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        searchLabel = searchGroup.add('statictext { text:"Search for (seconds):" }'),
+        searchField = searchGroup.add('edittext { text: "", preferredSize: [120,-1] }'),
+
+        targetGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        targetLabel = targetGroup.add('statictext { text:"Target utilization (%):" }'),
+        targetField = targetGroup.add('edittext { text: "", preferredSize: [120,-1] }'),
+
         bestFitGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
-        bestFitLabel = bestFitGroup.add('statictext { text:"Maximize:" }'),
+        bestFitLabel = bestFitGroup.add('statictext { text:"Prefer:" }'),
         bestFitMenu = bestFitGroup.add('dropDownList { preferredSize:[120,-1] }'),
 
+        placementGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        placementLabel = placementGroup.add('statictext { text:"Placement:" }'),
+        placementMenu = placementGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
+        binAssignmentGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        binAssignmentLabel = binAssignmentGroup.add('statictext { text:"Fill artboards:" }'),
+        binAssignmentMenu = binAssignmentGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
+        optimizerGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        optimizerLabel = optimizerGroup.add('statictext { text:"Optimizer:" }'),
+        optimizerMenu = optimizerGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
+        seedGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        seedLabel = seedGroup.add('statictext { text:"Seed:" }'),
+        seedField = seedGroup.add('edittext { text: "", preferredSize: [120,-1] }'),
+
+        fitBinGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        fitBinLabel = fitBinGroup.add('statictext { text:"Fit artboard to items:" }'),
+        fitBinMenu = fitBinGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
         checkboxGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,20,0,0], preferredSize: [120,-1] }'),
         allowRotationCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Allow 90\u00b0 rotation', margins:[0,10,0,0], value:false }"),
         allowAnyRotationCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Allow any rotation', margins:[0,10,0,0], value:false }"),
         tryHarderCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Try harder', margins:[0,10,0,0], value:false }"),
         disableSortingCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Do not sort', margins:[0,10,0,0], value:false }"),
+        guillotineCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Guillotine cuts', margins:[0,10,0,0], value:false }"),
+        bleedModeCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Bleed mode', margins:[0,10,0,0], value:false }"),
+        drawCutLinesCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Draw cut lines', margins:[0,10,0,0], value:false }"),
+        addBinsCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Add artboards as needed', margins:[0,10,0,0], value:false }"),
+        stripPackingCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Strip packing', margins:[0,10,0,0], value:false }"),
+        keepGroupsAdjacentCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Place groups side by side', margins:[0,10,0,0], value:false }"),
+        balanceCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Balance across artboards', margins:[0,10,0,0], value:false }"),
+
+        quantityPanel = w.add('panel {orientation:"column", alignment:["fill","top"], alignChildren: ["fill","top"], margins:[10,15,10,10] }'),
+        quantityList = quantityPanel.add('listbox', [0, 0, 250, 100], undefined, { numberOfColumns: 2, showHeaders: true, columnTitles: ['Item', 'Qty'], columnWidths: [190, 50] }),
+        quantityGroup = quantityPanel.add('group {orientation:"row", alignment:["left","top"] }'),
+        quantityLabel = quantityGroup.add('statictext { text:"Quantity:" }'),
+        quantityField = quantityGroup.add('edittext { text: "", preferredSize: [60,-1], enabled: false }'),
 
         showResultsCheckbox = w.add("Checkbox { alignment:'left', text:'Show results summary', margins:[0,10,0,0], value:false }"),
 
@@ -433,28 +733,240 @@ function ui(settings) {
         cancelButton = buttonGroup.add('button', undefined, 'Cancel', { name: 'cancel' }),
         packButton = buttonGroup.add('button', undefined, 'Pack', { name: 'ok' });
 
-    var items = settings.items;
+    var items = settings.items,
+        quantities = settings.quantities = settings.quantities || getItemQuantities(items);
 
     if (undefined == settings.margin)
         settings.margin = '0 mm';
 
+    // labels for the 'placementRule' menu, the first item cycles through all rules
+    var placementRules = [undefined].concat(Packer.PLACEMENT_RULES),
+        placementLabels = ['All rules', 'First fit', 'Best short side', 'Best long side', 'Best area', 'Bottom left', 'Contact point'];
+
     if (undefined == settings.maxAttemptCount)
-        settings.maxAttemptCount = getMaxAttemptCount(items.length);
+        settings.maxAttemptCount = getMaxAttemptCount(getCopyCount(items, quantities), getPlacementRules(getPackerType(settings, getCopyCount(items, quantities)), settings.placementRule).length);
 
     w.preferredSize.width = 250;
-    introText.text = 'Trying to pack ' + settings.items.length + ' items onto ' + settings.doc.artboards.length + ' artboards';
+    introText.text = 'Trying to pack ' + getCopyCount(items, quantities) + ' items onto ' + settings.doc.artboards.length + ' artboards';
     marginField.text = String(settings.margin);
+    keepOutCheckbox.value = settings.useKeepOutZones;
+    keepOutCheckbox.helpTip = 'Keep packed items away from locked artwork, and artwork on the "' + settings.keepOutLayerName + '" layer.';
+    binPathCheckbox.value = settings.useSelectedPathAsBin;
+    binPathCheckbox.helpTip = 'Pack into the largest selected closed path, instead of the artboards.';
     paddingField.text = String(settings.padding);
     maxAttemptsField.text = String(settings.maxAttemptCount);
+    searchField.text = settings.searchSeconds ? String(settings.searchSeconds) : '';
+    searchField.helpTip = 'Keep improving the packing for this many seconds, instead of making "Max attempts" attempts. Leave empty to turn off. The packing then depends on the computer\'s speed, so can\'t be repeated from its seed.';
+    targetField.text = settings.targetUtilization ? String(Math.round(settings.targetUtilization * 100)) : '';
+    targetField.helpTip = 'Stop once every item is packed, using at least this much of the artboards\' area. Leave empty to turn off.';
     allowRotationCheckbox.value = settings.allow90DegreeRotation;
     allowAnyRotationCheckbox.value = settings.allowAnyRotation;
     tryHarderCheckbox.value = settings.tryHarder;
     disableSortingCheckbox.value = settings.doNotSort;
+    guillotineCheckbox.value = 'guillotine' === settings.packerType;
+    bleedModeCheckbox.value = settings.bleedMode;
+    bleedModeCheckbox.helpTip = 'Pack items by their trim boxes (a path named "trim", or else their geometric bounds), letting bleeds overlap and clipping them where neighbours meet. Space between items is the space between trim boxes.';
+    drawCutLinesCheckbox.value = settings.drawCutLines;
+    drawCutLinesCheckbox.enabled = guillotineCheckbox.value || bleedModeCheckbox.value;
+
+    addBinsCheckbox.value = settings.addBinsAsNeeded;
+    addBinsCheckbox.helpTip = 'Add artboards, the same size as the last artboard, until every item that can fit is packed.';
+    stripPackingCheckbox.value = settings.stripPacking;
+    stripPackingCheckbox.helpTip = 'For roll-fed media: pack onto the first artboard, as short as possible, then fit the artboard\'s length to the packed items.';
+
+    guillotineCheckbox.onClick = bleedModeCheckbox.onClick = function () {
+        drawCutLinesCheckbox.enabled = guillotineCheckbox.value || bleedModeCheckbox.value;
+    };
     showResultsCheckbox.value = settings.showResults;
 
-    bestFitMenu.add('item', 'Items packed');
-    bestFitMenu.add('item', 'Area packed');
-    bestFitMenu.selection = 0;
+    // labels for the 'bestFitBy' menu
+    var scoringStrategies = ['count', 'area', 'waste', 'bounding-box', 'rotations', 'largest-offcut'],
+        scoringLabels = ['Items packed', 'Area packed', 'Least waste', 'Smallest bounds', 'Fewest rotations', 'Largest offcut'];
+
+    // plus the user's own strategies
+    if (settings.scoringStrategies) {
+        for (var name in settings.scoringStrategies) {
+            if (settings.scoringStrategies.hasOwnProperty(name) && !SCORING_STRATEGIES.hasOwnProperty(name)) {
+                scoringStrategies.push(name);
+                scoringLabels.push(name);
+            }
+        }
+    }
+
+    for (var i = 0; i < scoringLabels.length; i++) {
+
+        bestFitMenu.add('item', scoringLabels[i]);
+
+        if (settings.bestFitBy === scoringStrategies[i])
+            bestFitMenu.selection = i;
+
+    }
+
+    if (!bestFitMenu.selection)
+        bestFitMenu.selection = 0;
+
+    // labels for the 'fitBinToItems' menu
+    var fitBinModes = [undefined, 'width', 'aspect', 'area'],
+        fitBinLabels = ['Off', 'Keep width', 'Keep proportions', 'Least area'];
+
+    for (var i = 0; i < fitBinLabels.length; i++) {
+
+        fitBinMenu.add('item', fitBinLabels[i]);
+
+        if (settings.fitBinToItems === fitBinModes[i])
+            fitBinMenu.selection = i;
+
+    }
+
+    fitBinMenu.helpTip = 'Find the smallest artboard that holds every item, and resize the active artboard to it.';
+
+    // the quantity table, one row per item
+    for (var i = 0, row; i < items.length; i++) {
+        row = quantityList.add('item', items[i].name || '<' + items[i].typename + ' ' + (i + 1) + '>');
+        row.subItems[0].text = String(quantities[i]);
+    }
+
+    quantityList.helpTip = 'The number of copies of each item to pack. Set an item\'s default by adding "qty:40" to its name or note.';
+
+    quantityList.onChange = function () {
+        quantityField.enabled = null != quantityList.selection;
+        quantityField.text = quantityList.selection ? quantities[quantityList.selection.index] : '';
+    };
+
+    quantityField.onChanging = function () {
+
+        var quantity = parseInt(quantityField.text, 10);
+
+        if (
+            !quantityList.selection
+            || isNaN(quantity)
+        )
+            return;
+
+        quantities[quantityList.selection.index] = Math.max(0, quantity);
+        quantityList.selection.subItems[0].text = String(quantities[quantityList.selection.index]);
+
+    };
+
+    for (var i = 0; i < placementLabels.length; i++) {
+
+        placementMenu.add('item', placementLabels[i]);
+
+        if (settings.placementRule === placementRules[i])
+            placementMenu.selection = i;
+
+    }
+
+    // labels for the 'packingOrigin' menu
+    var packingOrigins = PACKING_ORIGINS.concat('all'),
+        packingOriginLabels = ['Top left', 'Top right', 'Bottom left', 'Bottom right', 'All corners'];
+
+    for (var i = 0; i < packingOriginLabels.length; i++) {
+
+        originMenu.add('item', packingOriginLabels[i]);
+
+        if (settings.packingOrigin === packingOrigins[i])
+            originMenu.selection = i;
+
+    }
+
+    if (!originMenu.selection)
+        originMenu.selection = 0;
+
+    originMenu.helpTip = 'The corner of each artboard to start packing from. All corners tries each corner across attempts.';
+
+    // labels for the 'fillDirection' menu
+    var fillDirections = ['rows', 'columns'],
+        fillDirectionLabels = ['Rows first', 'Columns first'];
+
+    for (var i = 0; i < fillDirectionLabels.length; i++) {
+
+        fillDirectionMenu.add('item', fillDirectionLabels[i]);
+
+        if (settings.fillDirection === fillDirections[i])
+            fillDirectionMenu.selection = i;
+
+    }
+
+    if (!fillDirectionMenu.selection)
+        fillDirectionMenu.selection = 0;
+
+    // labels for the 'compactToward' menu
+    var compactCorners = [undefined, 'top-left', 'top-right', 'bottom-left', 'bottom-right'],
+        compactLabels = ['Off', 'Top left', 'Top right', 'Bottom left', 'Bottom right'];
+
+    for (var i = 0; i < compactLabels.length; i++) {
+
+        compactMenu.add('item', compactLabels[i]);
+
+        if (settings.compactToward === compactCorners[i])
+            compactMenu.selection = i;
+
+    }
+
+    compactMenu.helpTip = 'After packing, slide the items toward this corner of each artboard, closing up any gaps.';
+
+    // labels for the 'alignItems' menu
+    var alignments = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right', 'justify'],
+        alignLabels = ['Top left', 'Top', 'Top right', 'Left', 'Center', 'Right', 'Bottom left', 'Bottom', 'Bottom right', 'Justify'];
+
+    for (var i = 0; i < alignLabels.length; i++) {
+
+        alignMenu.add('item', alignLabels[i]);
+
+        if (settings.alignItems === alignments[i])
+            alignMenu.selection = i;
+
+    }
+
+    if (!alignMenu.selection)
+        alignMenu.selection = 0;
+
+    alignMenu.helpTip = 'Where to put the packed items within each artboard. Justify spreads them out to fill it, pulling apart items that touch.';
+
+    // labels for the 'binAssignment' menu
+    var binAssignments = ['in-order', 'best-fit'],
+        binAssignmentLabels = ['In order', 'Best fit'];
+
+    for (var i = 0; i < binAssignmentLabels.length; i++) {
+
+        binAssignmentMenu.add('item', binAssignmentLabels[i]);
+
+        if (settings.binAssignment === binAssignments[i])
+            binAssignmentMenu.selection = i;
+
+    }
+
+    if (!binAssignmentMenu.selection)
+        binAssignmentMenu.selection = 0;
+
+    keepGroupsAdjacentCheckbox.value = settings.keepGroupsAdjacent;
+    keepGroupsAdjacentCheckbox.helpTip = 'Place the items of each group, tagged eg. "group:card-17", side by side, each touching another. Each group always goes on one artboard.';
+    balanceCheckbox.value = settings.balanceBins;
+    balanceCheckbox.helpTip = 'Spread the items evenly across the existing artboards, instead of using as few as possible: equal item counts when maximizing items packed, or equally full when maximizing area packed.';
+
+    binAssignmentMenu.helpTip = 'In order: fill each artboard in turn. Best fit: decide across all the artboards, putting each item into the fullest artboard it fits.';
+
+    // labels for the 'optimizer' menu
+    var optimizers = ['annealing', 'genetic', 'shuffle'],
+        optimizerLabels = ['Simulated annealing', 'Genetic algorithm', 'Random shuffle'];
+
+    for (var i = 0; i < optimizerLabels.length; i++) {
+
+        optimizerMenu.add('item', optimizerLabels[i]);
+
+        if (settings.optimizer === optimizers[i])
+            optimizerMenu.selection = i;
+
+    }
+
+    if (!optimizerMenu.selection)
+        optimizerMenu.selection = 2;
+
+    optimizerMenu.helpTip = 'How to search for better attempts after the preset sorts: improve on the best attempts so far, or shuffle afresh every attempt.';
+
+    seedField.text = undefined == settings.seed ? '' : String(settings.seed);
+    seedField.helpTip = 'Leave empty for a new packing every time, or enter the seed shown in the results to repeat that packing.';
 
     randomButton.onClick = function () {
 
@@ -470,6 +982,9 @@ function ui(settings) {
         settings.lastAttemptWasRandom = true;
         settings.randomAttempt = false;
 
+        // so that a packing worth keeping can be repeated
+        randomResult.text = 'Seed: ' + settings.lastSeed;
+
         app.redraw();
 
     };
@@ -500,12 +1015,45 @@ function ui(settings) {
 
         settings.padding = paddingField.text;
         settings.margin = marginField.text;
+        settings.useKeepOutZones = keepOutCheckbox.value;
+        settings.useSelectedPathAsBin = binPathCheckbox.value;
+
+        if (!settings.useSelectedPathAsBin) {
+            // a random attempt may have taken out the bin path
+            settings.items = items;
+            settings.binPath = undefined;
+            settings.binPathIndex = undefined;
+        }
+
         settings.maxAttemptCount = Number(maxAttemptsField.text);
-        settings.bestFitBy = bestFitMenu.selection.index == 0 ? 'count' : 'area';
+        settings.searchSeconds = Number(searchField.text) || undefined;
+        settings.targetUtilization = Number(targetField.text) / 100 || undefined;
+        settings.bestFitBy = scoringStrategies[bestFitMenu.selection.index];
+        settings.packingOrigin = packingOrigins[originMenu.selection.index];
+        settings.fillDirection = fillDirections[fillDirectionMenu.selection.index];
+        settings.compactToward = compactCorners[compactMenu.selection.index];
+        settings.alignItems = alignments[alignMenu.selection.index];
+        settings.placementRule = placementRules[placementMenu.selection.index];
+        settings.binAssignment = binAssignments[binAssignmentMenu.selection.index];
+        settings.keepGroupsAdjacent = keepGroupsAdjacentCheckbox.value;
+        settings.balanceBins = balanceCheckbox.value;
+        settings.optimizer = optimizers[optimizerMenu.selection.index];
+        settings.seed = Math.floor(Number(seedField.text)) || undefined;
+        settings.fitBinToItems = fitBinModes[fitBinMenu.selection.index];
         settings.allow90DegreeRotation = allowRotationCheckbox.value;
         settings.allowAnyRotation = allowAnyRotationCheckbox.value;
         settings.tryHarder = tryHarderCheckbox.value;
         settings.doNotSort = disableSortingCheckbox.value;
+        settings.packerType = guillotineCheckbox.value ? 'guillotine' : 'maxrects';
+        settings.bleedMode = bleedModeCheckbox.value;
+        settings.drawCutLines = drawCutLinesCheckbox.value;
+        settings.addBinsAsNeeded = addBinsCheckbox.value;
+        settings.stripPacking = stripPackingCheckbox.value;
+        settings.quantities = quantities.slice();
+
+        if (undefined != settings.binPathIndex)
+            // a random attempt has already taken out the bin path
+            settings.quantities.splice(settings.binPathIndex, 1);
         settings.showResults = showResultsCheckbox.value;
 
     };
@@ -536,6 +1084,7 @@ function makeProgressWindow() {
         pb2Row = attemptsGroup.add("group {orientation:'row', alignChildren: 'fill', alignment:['fill','top'], margins: [15,15,15,15] }"),
         pb2 = pb2Row.add('progressbar { bounds: [12, 12, 400, 12], value: 0, maxvalue: 100 }'),
         pb2display = pb2Row.add('statictext { text:"1 / 1", minimumSize: [100,24] }'),
+        searchText = attemptsGroup.add('statictext { text:"", alignment:["fill","top"] }'),
 
         resultsGroup = stack.add("group {orientation:'column', alignChildren: ['fill','fill'], alignment: ['fill','fill'], margins: [15,0,15,0], visible: false }"),
         infoText = resultsGroup.add('statictext { text:"results", preferredSize: [-1,100], properties: { multiline: true } }'),
@@ -554,6 +1103,14 @@ function makeProgressWindow() {
         w.update();
     };
 
+    w.setSearchProgress = function (attemptNumber, elapsedSeconds, searchSeconds, bestScore) {
+        pb2.value = Math.min(elapsedSeconds, searchSeconds);
+        pb2.maxvalue = searchSeconds;
+        pb2display.text = String(attemptNumber);
+        searchText.text = 'Elapsed: ' + Math.round(elapsedSeconds) + ' s, remaining: ' + Math.max(0, Math.round(searchSeconds - elapsedSeconds)) + ' s, best score: ' + Math.round(bestScore);
+        w.update();
+    };
+
     w.setItemsPackedProgress = function (packedItemCount, totalItemCount) {
         pb1.value = packedItemCount;
         pb1.maxvalue = totalItemCount;
@@ -570,117 +1127,283 @@ function makeProgressWindow() {
 };
 
 /**
- * Convert "artboard rect" [L,T,R,B] with negative Y axis
- * to "bin bounds" [T,L,B,R] with positive Y axis.
- * @param {Array<Number>} rect - the artboard rect [L, T, R, B].
- * @returns {Array<Number>}
+ * Returns the bounds of the artwork that packed items must
+ * avoid: locked items, items on locked layers and items on
+ * the keep-out layer. Hidden and selected items, and the
+ * bins layer, are ignored.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Document} doc - an Illustrator Document.
+ * @param {String} [keepOutLayerName] - the name of the keep-out layer, not case-sensitive (default: 'keep-out').
+ * @param {String} [binsLayerName] - the name of the bins layer, not case-sensitive (default: 'bins').
+ * @returns {Array<bounds>} - bin bounds [T, L, B, R] with positive Y axis.
  */
-function artboardRectToBinBounds(rect) {
-    return [-rect[1], rect[0], -rect[3], rect[2]];
+function getKeepOutBoundsIllustrator(doc, keepOutLayerName, binsLayerName) {
+
+    var keepOutBounds = [];
+
+    keepOutLayerName = (keepOutLayerName || 'keep-out').toLowerCase();
+    binsLayerName = (binsLayerName || 'bins').toLowerCase();
+
+    collectBounds(doc.layers, false, false);
+
+    return keepOutBounds;
+
+    /**
+     * Collects the bounds of the keep-out items in `layers`.
+     * @param {Layers} layers - the layers to search.
+     * @param {Boolean} isLocked - whether the parent layer is locked.
+     * @param {Boolean} isKeepOut - whether the parent layer is the keep-out layer.
+     */
+    function collectBounds(layers, isLocked, isKeepOut) {
+
+        for (var i = 0; i < layers.length; i++) {
+
+            var layer = layers[i];
+
+            if (
+                !layer.visible
+                || binsLayerName === layer.name.toLowerCase()
+            )
+                continue;
+
+            var layerIsLocked = isLocked || layer.locked,
+                layerIsKeepOut = isKeepOut || keepOutLayerName === layer.name.toLowerCase();
+
+            for (var j = 0, item; j < layer.pageItems.length; j++) {
+
+                item = layer.pageItems[j];
+
+                if (
+                    item.hidden
+                    || item.selected
+                    || (item.hasOwnProperty('guides') && item.guides)
+                )
+                    continue;
+
+                if (layerIsLocked || layerIsKeepOut || item.locked)
+                    keepOutBounds.push(artboardRectToBinBounds(item.visibleBounds));
+
+            }
+
+            collectBounds(layer.layers, layerIsLocked, layerIsKeepOut);
+
+        }
+
+    };
+
 };
 
 /**
- * Convert "bin bounds" [T,L,B,R] with positive Y axis
- * to "artboard rect" [L,T,R,B] with negative Y axis.
- * @param {Array<Number>} bounds - the bin bounds [T, L, B, R].
- * @returns {Array<Number>}
+ * Adds an artboard for each of the extra bins, in a grid
+ * to the right of the existing artboards, or below them
+ * when there's no room to the right, keeping within the
+ * canvas. Stops at the first extra bin that there is no
+ * room for.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Document} doc - an Illustrator Document.
+ * @param {Array<Object>} bins - the bins, including any extra bins to add.
+ * @returns {Number} - the number of bins, from the first, that have an artboard.
  */
-function binBoundsToArtboardRect(bounds) {
-    return [bounds[1], -bounds[0], bounds[3], -bounds[2]];
+function addArtboardsForExtraBins(doc, bins) {
+
+    var extraBins = [];
+
+    for (var i = 0; i < bins.length; i++) {
+        if (bins[i].isExtra)
+            extraBins.push(bins[i]);
+    }
+
+    if (0 === extraBins.length)
+        return bins.length;
+
+    // the extent of the existing artboards
+    var extent = doc.artboards[0].artboardRect;
+
+    for (var i = 1; i < doc.artboards.length; i++) {
+
+        var rect = doc.artboards[i].artboardRect;
+
+        extent = [
+            Math.min(extent[0], rect[0]),
+            Math.max(extent[1], rect[1]),
+            Math.max(extent[2], rect[2]),
+            Math.min(extent[3], rect[3]),
+        ];
+
+    }
+
+    var templateRect = extraBins[0].template.artboard.artboardRect,
+        width = templateRect[2] - templateRect[0],
+        height = templateRect[1] - templateRect[3],
+        gap = 20,
+        // the canvas can't be wider or taller than this
+        canvasRight = extent[0] + MAX_BIN_SIZE,
+        canvasBottom = extent[1] - MAX_BIN_SIZE,
+        gridLeft = extent[2] + gap,
+        gridTop = extent[1],
+        columnCount = Math.min(Math.ceil(Math.sqrt(extraBins.length)), Math.floor((canvasRight - gridLeft + gap) / (width + gap)));
+
+    if (columnCount < 1) {
+        // no room to the right, so go below
+        gridLeft = extent[0];
+        gridTop = extent[3] - gap;
+        columnCount = Math.min(Math.ceil(Math.sqrt(extraBins.length)), Math.floor((MAX_BIN_SIZE + gap) / (width + gap)));
+    }
+
+    for (var i = 0; i < extraBins.length; i++) {
+
+        var bin = extraBins[i],
+            left = gridLeft + (i % columnCount) * (width + gap),
+            top = gridTop - Math.floor(i / columnCount) * (height + gap),
+            // the offset from the template artboard, with positive Y axis
+            dx = left - templateRect[0],
+            dy = templateRect[1] - top;
+
+        if (
+            columnCount < 1
+            || top - height < canvasBottom
+        )
+            return bins.length - extraBins.length + i;
+
+        try {
+            bin.artboard = doc.artboards.add([left, top, left + width, top - height]);
+        } catch (error) {
+            // off the canvas, or too many artboards
+            return bins.length - extraBins.length + i;
+        }
+
+        bin.bounds = [bin.bounds[0] + dy, bin.bounds[1] + dx, bin.bounds[2] + dy, bin.bounds[3] + dx];
+
+    }
+
+    return bins.length;
+
 };
 
 /**
- * Returns estimate for maximum attempts count.
- * @param {Number} itemCount - number of items to bec packed.
- * @returns {Number}
+ * Returns the visible closed paths on the bins layer,
+ * in reading order: top to bottom, then left to right.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Document} doc - an Illustrator Document.
+ * @param {String} [binsLayerName] - the name of the bins layer, not case-sensitive (default: 'bins').
+ * @returns {Array<PathItem|CompoundPathItem>}
  */
-function getMaxAttemptCount(itemCount) {
-    return Math.min(200, 4 + Math.floor(Math.log(itemCount) / Math.log(2) * 5));
-}
+function getBinPathsIllustrator(doc, binsLayerName) {
 
-function sortBlocksByInterleaving(blocks) {
+    var binPaths = [];
 
-    // sort blocks by area in descending order
-    blocks.sort(function (a, b) {
-        var areaA = a.w * a.h;
-        var areaB = b.w * b.h;
-        return areaB - areaA;
-    });
+    binsLayerName = (binsLayerName || 'bins').toLowerCase();
 
-    // divide blocks into two groups (larger and smaller areas)
-    var half = Math.ceil(blocks.length / 2);
-    var largerBlocks = blocks.slice(0, half);
-    var smallerBlocks = blocks.slice(half);
+    for (var i = 0; i < doc.layers.length; i++) {
 
-    // interleave blocks from both halves
-    var interleavedBlocks = [];
-    var i = 0, j = 0;
+        var layer = doc.layers[i];
 
-    while (i < largerBlocks.length || j < smallerBlocks.length) {
+        if (
+            !layer.visible
+            || binsLayerName !== layer.name.toLowerCase()
+        )
+            continue;
 
-        if (i < largerBlocks.length)
-            interleavedBlocks.push(largerBlocks[i++]);
+        for (var j = 0, item; j < layer.pageItems.length; j++) {
 
-        if (j < smallerBlocks.length)
-            interleavedBlocks.push(smallerBlocks[j++]);
+            item = layer.pageItems[j];
+
+            if (
+                !item.hidden
+                && isClosedPathIllustrator(item)
+            )
+                binPaths.push(item);
+
+        }
 
     }
 
-    return interleavedBlocks;
+    binPaths.sort(function (a, b) {
+        // geometricBounds are [L, T, R, B] with negative Y axis
+        return (b.geometricBounds[1] - a.geometricBounds[1])
+            || (a.geometricBounds[0] - b.geometricBounds[0]);
+    });
+
+    return binPaths;
+
+};
+
+/**
+ * Returns true when `item` is a closed path.
+ * @param {PageItem} item - an Illustrator PageItem.
+ * @returns {Boolean}
+ */
+function isClosedPathIllustrator(item) {
+
+    if ('PathItem' === item.typename)
+        return item.closed;
+
+    if ('CompoundPathItem' === item.typename)
+        return item.pathItems.length > 0 && item.pathItems[0].closed;
+
+    return false;
 
 };
 
 /**
- * Sorts an `attempt`'s blocks.
+ * Returns the polygons of a closed path, for a shaped bin.
  * @author m1b
- * @version 2024-10-13
- * @param {Attempt} attempt - the attempt to sort.
- * @param {Number} [sortType] - index of sorting method (default: random shuffle).
+ * @version 2026-10-19
+ * @param {PathItem|CompoundPathItem} item - the path.
+ * @returns {Array<Array<point>>} - polygons [[x, y], ...] with positive Y axis.
  */
-function sortBlocks(attempt, sortType) {
+function getPathRingsIllustrator(item) {
 
-    if (undefined == sortType)
-        sortType = attempt.index;
+    var rings = [],
+        paths = 'CompoundPathItem' === item.typename ? item.pathItems : [item];
 
-    switch (sortType) {
+    for (var i = 0; i < paths.length; i++) {
 
-        case undefined:
-            attempt.sortType = 'no sorting';
-            break;
+        var points = [];
 
-        case 0:
-            attempt.remainingBlocks.sort(function byArea(a, b) { return (b.w * b.h) - (a.w * a.h) });
-            attempt.sortType = 'area';
-            break;
+        for (var j = 0, p; j < paths[i].pathPoints.length; j++) {
 
-        case 1:
-            attempt.remainingBlocks.sort(function byLargestDimension(a, b) { return Math.max(b.w, b.h) - Math.max(a.w, a.h) });
-            attempt.sortType = 'largest dimension'
-            break;
+            p = paths[i].pathPoints[j];
 
-        case 2:
-            attempt.remainingBlocks.sort(function byWidth(a, b) { return b.w - a.w });
-            attempt.sortType = 'width'
-            break;
+            // flip to positive Y axis
+            points.push({
+                anchor: [p.anchor[0], -p.anchor[1]],
+                leftDirection: [p.leftDirection[0], -p.leftDirection[1]],
+                rightDirection: [p.rightDirection[0], -p.rightDirection[1]],
+            });
 
-        case 3:
-            attempt.remainingBlocks.sort(function byHeight(a, b) { return b.h - a.h });
-            attempt.sortType = 'height'
-            break;
+        }
 
-        case 4:
-            // interleave large and small items
-            attempt.remainingBlocks = sortBlocksByInterleaving(attempt.remainingBlocks);
-            attempt.sortType = 'interleaving'
-            break;
+        if (points.length > 2)
+            rings.push(bezierPathToPolygon(points));
 
-        default:
-            // random sort
-            shuffle(attempt.remainingBlocks);
-            attempt.sortType = 'random shuffle'
-            break;
     }
 
+    return rings;
+
+};
+
+/**
+ * Convert "artboard rect" [L,T,R,B] with negative Y axis
+ * to "bin bounds" [T,L,B,R] with positive Y axis.
+ * @param {Array<Number>} rect - the artboard rect [L, T, R, B].
+ * @returns {Array<Number>}
+ */
+function artboardRectToBinBounds(rect) {
+    return [-rect[1], rect[0], -rect[3], rect[2]];
+};
+
+/**
+ * Convert "bin bounds" [T,L,B,R] with positive Y axis
+ * to "artboard rect" [L,T,R,B] with negative Y axis.
+ * @param {Array<Number>} bounds - the bin bounds [T, L, B, R].
+ * @returns {Array<Number>}
+ */
+function binBoundsToArtboardRect(bounds) {
+    return [bounds[1], -bounds[0], bounds[3], -bounds[2]];
 };
 
 /**
@@ -705,13 +1428,52 @@ function showResults(settings, attempt) {
         '',
         'Attempt number: ' + attempt.index,
         'SortType: ' + (attempt.sortType || 'not sorted'),
+        'Packer: ' + attempt.packerType + ', placement: ' + attempt.placementRule,
+        'Origin: ' + attempt.origin.corner + ', ' + (attempt.origin.columns ? 'columns' : 'rows') + ' first',
         'Score: ' + Math.round(attempt.score),
+        'Seed: ' + attempt.seed,
+        'Utilization: ' + Math.round(attempt.utilization * 100) + '%',
         ''
     ];
 
+    if (settings.searchSeconds)
+        info.push('Searched for ' + Math.round(attempt.searchSeconds) + ' s, making ' + attempt.attemptCount + ' attempts.', 'A time-limited packing can\'t be repeated from its seed.', '');
+
+    if (attempt.lowerBound)
+        info.push(describeLowerBound(attempt, 'artboard'), '');
+
+    if (attempt.balance)
+        info.push(describeBalance(attempt.balance), '');
+
+    if (attempt.optimizerSummary)
+        info.push(attempt.optimizerSummary, '');
+
+    if (undefined != attempt.rollLength)
+        info.push('Roll length used: ' + formatLength(attempt.rollLength, getDocumentUnit(settings.doc || app.activeDocument)), '');
+
+    if (undefined != attempt.frameSize)
+        info.push('Artboard size: ' + formatDimensions(attempt.frameSize, getDocumentUnit(settings.doc || app.activeDocument)), '');
+
+    if (attempt.copyCounts && attempt.copyCounts.length > 0)
+        info = info.concat(attempt.copyCounts, '');
+
+    if (attempt.rotatedItems)
+        info.push(attempt.rotatedItems, '');
+
+    if (attempt.unpackedReasons && attempt.unpackedReasons.length > 0)
+        info = info.concat(attempt.unpackedReasons, '');
+
     info = info.concat(attempt.info);
     resultText.text = info.join('\n');
 
+    if (attempt.cutList) {
+        // the cut sequence, in a field so it can be copied
+        var cutsLabel = resultGroup.add('statictext { text:"' + (attempt.trimLines ? 'Trim lines:' : 'Cut sequence:') + '" }'),
+            cutsText = resultGroup.add('edittext { text:"", properties: { multiline: true, readonly: true, scrolling: true } }');
+        cutsText.preferredSize = [250, 150];
+        cutsText.text = attempt.cutList;
+    }
+
     if (settings.windowLocation)
         w.location = settings.windowLocation;
     else
@@ -723,6 +1485,53 @@ function showResults(settings, attempt) {
 
 };
 
+/**
+ * Draws cut lines on a layer.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Document} doc - an Illustrator Document.
+ * @param {Array<Object>} cutLines - the cut lines, from `getCutLines`.
+ * @param {Object} settings - the packing settings.
+ * @param {String} [settings.cutLinesLayerName] - the name of the layer (default: 'Cut Lines').
+ */
+function drawCutLinesIllustrator(doc, cutLines, settings) {
+
+    var layerName = settings.cutLinesLayerName || 'Cut Lines',
+        layer;
+
+    try {
+        layer = doc.layers.getByName(layerName);
+    } catch (error) {
+        layer = doc.layers.add();
+        layer.name = layerName;
+    }
+
+    layer.locked = false;
+    layer.visible = true;
+
+    for (var i = 0; i < cutLines.length; i++) {
+
+        var cut = cutLines[i],
+            line = layer.pathItems.add();
+
+        // cut lines use positive Y axis, like the bin bounds
+        line.setEntirePath('horizontal' === cut.orientation
+            ? [[cut.start, -cut.position], [cut.end, -cut.position]]
+            : [[cut.position, -cut.start], [cut.position, -cut.end]]
+        );
+
+        line.filled = false;
+        line.stroked = true;
+        line.strokeWidth = 0.5;
+
+        try {
+            line.strokeColor = doc.swatches.getByName('[Registration]').color;
+        } catch (error) { }
+
+    }
+
+};
+
 // just for debugging block order
 function listBlocks(blocks) {
 
@@ -20,8 +20,12 @@
  *     of attempts: sometimes it will hit on a winner.
  *   - the first 5 attempts always use pre-set sort
  *     functions, chosen as being most likely to provide
- *     a good result; after that every attempt just
- *     does a random shuffle.
+ *     a good result; after that each attempt is made
+ *     by the chosen optimizer: simulated annealing or a
+ *     genetic algorithm improve on the best attempts so
+ *     far, while random shuffle just starts afresh.
+ *     When cycling through the placement rules, each
+ *     sort function is tried once with every rule.
  *   - the pre-calculated Max Attempts number doesn't
  *     mean much; feel free to adjust.
  *   - the Random button runs a single, random-shuffled
@@ -43,7 +47,10 @@
  * @discussion https://community.adobe.com/t5/illustrator-discussions/how-to-organize-multiple-different-objects-on-one-sheet-with-a-defined-gap-inbetween-them/m-p/12475475#M295934
  */
 //@include 'Packer.js'
+//@include 'GuillotinePacker.js'
+//@include 'SkylinePacker.js'
 //@include 'packer-blocks.js'
+
 (function () {
 
     if (
@@ -63,6 +70,12 @@
         // space between items, in pts, or can use 'mm' or 'inch'
         padding: '1mm',
 
+        // more space around particular items, by layer name, eg.
+        // { 'Labels': '3mm', 'Tickets': '1mm/2mm' } - an item can also
+        // have its own tag, eg. "padding:3mm" or "padding-left:4mm";
+        // neighbours are kept apart by the larger of their paddings
+        paddingByLayer: {},
+
         // space between items and edge of page, in pts, or can use 'mm' or 'inch'
         // or leave undefined to use the page's margins
         margin: 0,
@@ -84,10 +97,137 @@
         // in practice this will cause rotation between 0 and 90°
         allowAnyRotation: true,
 
-        // choose 'count' to prefer item count,
-        // or 'area' to prefer area packed
+        // how to score each attempt: 'count' prefers item count,
+        // 'area' prefers area packed, 'waste' the least waste,
+        // 'bounding-box' the smallest bounding box of the items,
+        // 'rotations' the fewest rotated items, 'largest-offcut'
+        // the largest free rectangle left over, or the name of
+        // one of `scoringStrategies`
         bestFitBy: 'count',
 
+        // your own scoring strategies, by name, for `bestFitBy`,
+        // see `SCORING_STRATEGIES` in packer-blocks.js, eg.
+        // { 'top-heavy': function (attempt, context) { ... } }
+        scoringStrategies: undefined,
+
+        // how the packer chooses where to put each item:
+        // 'first-fit', 'best-short-side', 'best-long-side',
+        // 'best-area', 'bottom-left' or 'contact-point'
+        // - leave undefined to cycle through every rule across attempts
+        placementRule: undefined,
+
+        // rules pinning items to pages, matched by tag, layer or
+        // fill swatch, eg. [{ tag: 'client:A', bins: '1-2' },
+        // { layer: 'Client B', bins: '3' }] - the bins are page
+        // numbers or names, or bin numbers like '#5', as shown in the
+        // results; an item can also have its own tag, eg. "bin:1-2"
+        binRules: [],
+
+        // the corner of each page to start packing from: 'top-left',
+        // 'top-right', 'bottom-left' or 'bottom-right', eg. the
+        // gripper edge, or 'all' to try each corner across attempts
+        packingOrigin: 'top-left',
+
+        // whether to fill 'rows' or 'columns' first
+        fillDirection: 'rows',
+
+        // how items are shared between the pages: 'in-order' fills
+        // each page in turn, passing what's left on to the next;
+        // 'best-fit' decides across all the pages, putting each
+        // item into the fullest page that it fits
+        binAssignment: 'in-order',
+
+        // whether to spread the items evenly across the pages,
+        // rather than using as few pages as possible: by item
+        // count or by area, following `bestFitBy`
+        balanceBins: false,
+
+        // items with the same "group" tag, eg. "group:card-17", always
+        // go on the same page; also choose whether each group's
+        // items must touch, side by side
+        keepGroupsAdjacent: false,
+
+        // how to search for better attempts after the preset sorts:
+        // 'annealing' (simulated annealing), 'genetic' (genetic
+        // algorithm) or 'shuffle' (a random shuffle every attempt)
+        optimizer: 'annealing',
+
+        // the seed for every random choice: the same items, settings
+        // and seed always give the same packing - leave undefined
+        // for a new seed every time (the seed used is in the results)
+        seed: undefined,
+
+        // choose 'maxrects' for the normal packer, or 'guillotine'
+        // for layouts that can be separated by edge-to-edge cuts
+        packerType: 'maxrects',
+
+        // whether to pack full-bleed items by their trim boxes (a
+        // frame named "trim" in the item, or else its geometric
+        // bounds), so that neighbouring bleeds overlap, and are
+        // cropped where they meet; `padding` is then the space
+        // between the trim boxes
+        bleedMode: false,
+
+        // whether to draw the guillotine cuts, or the
+        // trim lines in bleed mode, on a "Cut Lines" layer
+        drawCutLines: false,
+
+        // with this many items or more, the 'maxrects' packer
+        // is swapped for the much faster 'skyline' packer
+        skylineItemCount: 1000,
+
+        // whether to keep packed items away from locked artwork,
+        // artwork on the keep-out layer and master page items
+        useKeepOutZones: false,
+
+        // the name of the keep-out layer (not case-sensitive)
+        keepOutLayerName: 'keep-out',
+
+        // whether master page items count as keep-out zones
+        keepOutMasterPageItems: true,
+
+        // whether to add new pages, like the last page,
+        // when items remain after filling the existing pages
+        addBinsAsNeeded: false,
+
+        // to find the smallest page that holds every item, and
+        // resize the active page to it, choose 'width' to keep
+        // its width, 'aspect' to keep its proportions, or 'area'
+        // for the smallest area - leave undefined to turn off
+        fitBinToItems: undefined,
+
+        // after packing, slide the items toward a corner of each
+        // page, closing up any gaps: 'top-left', 'top-right',
+        // 'bottom-left' or 'bottom-right' - leave undefined to turn off
+        compactToward: undefined,
+
+        // where to put the packed items within each page: 'top-left',
+        // 'top', 'top-right', 'left', 'center', 'right', 'bottom-left',
+        // 'bottom' or 'bottom-right', or 'justify' to spread them
+        // out to fill the page
+        alignItems: 'top-left',
+
+        // strip packing, for roll-fed media: packs every item onto
+        // the first page, as short as possible, then fits
+        // the page's length to the packed items
+        stripPacking: false,
+
+        // closed paths on this layer are packed into, instead
+        // of the pages, as shaped bins (not case-sensitive)
+        binsLayerName: 'bins',
+
+        // whether the largest selected closed path is packed into
+        useSelectedPathAsBin: false,
+
+        // the number of copies of each item to pack, in selection order
+        // - leave undefined to read each item's "qty:n" tag from
+        //   its name or script label (default: 1 copy)
+        quantities: undefined,
+
+        // how closely the packing follows the edges of a shaped bin,
+        // in pts, or can use 'mm' or 'inch'
+        shapedBinResolution: '2mm',
+
         // the maximum number of attempts at packing
         // - more attempts sometimes works better, but rarely.
         // - note that if `tryHarder` is off, and a solution is found,
@@ -95,6 +235,16 @@
         // - leave undefined to auto-calculate
         maxAttemptCount: undefined,
 
+        // keep making attempts for this many seconds, instead
+        // of `maxAttemptCount` attempts - leave undefined to turn off;
+        // the packing then depends on the computer's speed, so
+        // can't be repeated from its seed
+        searchSeconds: undefined,
+
+        // stop once every item is packed, using at least this
+        // much of the bins' area, eg. 0.85 - leave undefined to turn off
+        targetUtilization: undefined,
+
         // should we stop on first successul packing, or keep trying to improve?
         // when this is on, the packing will always make `maxAttemptCount` attempts.
         tryHarder: false,
@@ -169,14 +319,43 @@
  * @param {Document} settings.doc - an Indesign Document.
  * @param {Array<PageItem>} settings.items - the items to pack.
  * @param {Number} [settings.padding] - the space to leave between packed items (default: 0).
+ * @param {Object} [settings.paddingByLayer] - more space around the items on particular layers, by layer name (default: none).
  * @param {Boolean} [settings.usePageMargins] - whether to use the page margins (default: false).
  * @param {Number} [settings.margin] - the distance between page edge and bin, if applicable (default: 0).
  * @param {Boolean} [settings.useGuidesToDivideBins] - whether to divide page bin by guides (default: false).
  * @param {Number} [settings.guidesMargin] - the margin to leave either side of each guide. (default: 0)
  * @param {Boolean} [settings.allow90DegreeRotation] - whether to allow rotation by 90° (default: false).
  * @param {Boolean} [settings.allowArbitraryRotation] - whether to allow rotation by any amount to better fit into a rectangle (default: false).
- * @param {String} [settings.bestFitBy] - can be 'count' or 'area' (default: 'count').
+ * @param {String} [settings.bestFitBy] - the name of the scoring strategy, see `SCORING_STRATEGIES` (default: 'count').
+ * @param {Object} [settings.scoringStrategies] - more scoring strategies, by name.
+ * @param {String} [settings.compactToward] - the corner to slide the packed items toward, if any (default: undefined).
+ * @param {String} [settings.alignItems] - where to put the packed items within each page, or 'justify' (default: 'top-left').
+ * @param {String} [settings.placementRule] - one of `Packer.PLACEMENT_RULES` (default: cycle through all rules).
+ * @param {Array<Object>} [settings.binRules] - rules pinning items to pages (default: none).
+ * @param {Boolean} [settings.keepGroupsAdjacent] - whether each group's items must touch (default: false).
+ * @param {String} [settings.packingOrigin] - the corner to start packing from, or 'all' (default: 'top-left').
+ * @param {String} [settings.fillDirection] - 'rows' or 'columns' first (default: 'rows').
+ * @param {String} [settings.binAssignment] - 'in-order' or 'best-fit' (default: 'in-order').
+ * @param {Boolean} [settings.balanceBins] - whether to spread the items evenly across the pages, by count or area (default: false).
+ * @param {String} [settings.optimizer] - 'annealing', 'genetic' or 'shuffle' (default: 'shuffle').
+ * @param {Number} [settings.seed] - the seed for every random choice, to repeat a packing (default: a new seed).
+ * @param {String} [settings.packerType] - 'maxrects' or 'guillotine' (default: 'maxrects').
+ * @param {Boolean} [settings.bleedMode] - whether to pack items by their trim boxes, overlapping and cropping their bleeds (default: false).
+ * @param {Boolean} [settings.drawCutLines] - whether to draw the guillotine cuts, or the trim lines in bleed mode, on a layer (default: false).
+ * @param {Number} [settings.skylineItemCount] - use the faster skyline packer when packing this many items or more (default: never).
+ * @param {Boolean} [settings.useKeepOutZones] - whether to avoid locked artwork and artwork on the keep-out layer (default: false).
+ * @param {String} [settings.keepOutLayerName] - the name of the keep-out layer (default: 'keep-out').
+ * @param {Boolean} [settings.keepOutMasterPageItems] - whether to also avoid master page items, if using keep-out zones (default: false).
+ * @param {Boolean} [settings.addBinsAsNeeded] - whether to add pages, like the last page, for the remaining items (default: false).
+ * @param {String} [settings.fitBinToItems] - resize the active page to fit the items, keeping its 'width' or 'aspect', or by least 'area' (default: off).
+ * @param {Boolean} [settings.stripPacking] - whether to pack onto the first page, as short as possible, and resize it to fit (default: false).
+ * @param {String} [settings.binsLayerName] - the name of the layer whose closed paths are shaped bins (default: 'bins').
+ * @param {Boolean} [settings.useSelectedPathAsBin] - whether to pack into the largest selected closed path (default: false).
+ * @param {Array<Number>} [settings.quantities] - the number of copies of each item to pack (default: each item's "qty" tag, or 1).
+ * @param {Number} [settings.shapedBinResolution] - how closely to follow the edges of shaped bins, in points (default: 5).
  * @param {Number} [settings.maxAttemptCount] - the maximum number of attempts made (default: calculated).
+ * @param {Number} [settings.searchSeconds] - keep making attempts for this many seconds, instead of `maxAttemptCount` attempts (default: off).
+ * @param {Number} [settings.targetUtilization] - stop once every item is packed, using at least this fraction of the bins' area (default: off).
  * @param {Boolean} [settings.tryHarder] - whether to keep trying, even after all items are packed (default: false).
  * @param {Boolean} [settings.showResults] - whether to show an alert message if any items couldn't be packed (default: false).
  * @param {Boolean} [settings.keepRemainingItemsSelected] - whether to deselect items, and only keep unpacked items selected afterwards (default: false).
@@ -195,22 +374,28 @@ function packItemsIndesign(settings, randomAttempt) {
     settings.padding = getUnitStringAsPoints(settings.padding);
     settings.margin = getUnitStringAsPoints(settings.margin);
     settings.guidesMargin = getUnitStringAsPoints(settings.guidesMargin);
+    settings.shapedBinResolution = getUnitStringAsPoints(settings.shapedBinResolution);
+
+    if (
+        settings.useSelectedPathAsBin
+        && undefined == settings.binPath
+    )
+        // the bin path isn't one of the items to pack
+        separateBinPath(settings, isClosedPathIndesign);
 
     var doc = settings.doc || app.activeDocument,
         items = settings.items || doc.selection,
+        quantities = settings.quantities = settings.quantities || getItemQuantities(items),
         padding = settings.padding || 0,
         margin = settings.margin || 0,
-        useGuidesToDivideBins = false !== settings.useGuidesToDivideBins,
+        stripPacking = true === settings.stripPacking,
+        fitBin = !stripPacking && undefined != settings.fitBinToItems,
+        useGuidesToDivideBins = !stripPacking && !fitBin && false !== settings.useGuidesToDivideBins,
         guidesMargin = getUnitStringAsPoints(settings.guidesMargin || '0'),
-        allow90DegreeRotation = true === settings.allow90DegreeRotation,
         allowAnyRotation = true === settings.allowAnyRotation,
-        bestFitBy = settings.bestFitBy || 'count',
-        maxAttemptCount = randomAttempt ? 1 : (settings.maxAttemptCount || getMaxAttemptCount(items.length)),
-        preferCount = (bestFitBy == 'count'),
-        preferArea = (bestFitBy == 'area'),
         pb = settings.pb,
-        totalItemCount = items.length,
-        totalItemArea = 0;
+        totalItemCount = getCopyCount(items, quantities),
+        seed = settings.lastSeed = Number(settings.seed) || makeSeed();
 
     if (padding.constructor.name == 'String')
         padding = getUnitStringAsPoints(padding);
@@ -220,9 +405,40 @@ function packItemsIndesign(settings, randomAttempt) {
 
     // make bins
     var bins = [],
-        pages = doc.pages;
+        pages = doc.pages,
+        pageCount = stripPacking ? 1 : pages.length,
+        binPaths = (stripPacking || fitBin) ? [] : settings.binPath ? [settings.binPath] : getBinPathsIndesign(doc, settings.binsLayerName);
+
+    for (var i = 0; i < binPaths.length; i++) {
+
+        if (!binPaths[i].parentPage)
+            // not on a page
+            continue;
+
+        // a shaped bin: the bounds of the path,
+        // with everything outside the path as obstacles
+        var binBounds = binPaths[i].geometricBounds,
+            bin = {
+                page: binPaths[i].parentPage,
+                path: binPaths[i],
+                bounds: binBounds,
+                width: binBounds[3] - binBounds[1] + padding,
+                height: binBounds[2] - binBounds[0] + padding,
+            };
+
+        var keepOutBounds = settings.useKeepOutZones
+            ? getKeepOutBoundsIndesign(bin.page, items, settings.keepOutLayerName, settings.keepOutMasterPageItems, settings.binsLayerName)
+            : [];
+
+        bin.obstacles = getShapedBinObstacles(bin, getPathRingsIndesign(binPaths[i]), padding, margin, settings.shapedBinResolution)
+            .concat(getBinObstacles(bin, keepOutBounds, padding));
 
-    for (var i = 0; i < pages.length; i++) {
+        bins.push(bin);
+
+    }
+
+    // otherwise the pages are the bins
+    for (var i = 0; 0 === binPaths.length && i < pageCount; i++) {
 
         var pageBounds = pages[i].bounds;
 
@@ -243,25 +459,68 @@ function packItemsIndesign(settings, randomAttempt) {
                 pageBounds[3] - margin,
             ];
 
+        if (stripPacking)
+            // as long as the largest possible page
+            pageBounds[2] += MAX_BIN_SIZE - (pages[i].bounds[2] - pages[i].bounds[0]);
+
         // divide up with guides
         var guides = useGuidesToDivideBins ? pages[i].guides.everyItem().getElements() : [];
         var pageBinsBounds = divideBounds(pageBounds, guides, guidesMargin);
 
+        // locked artwork, artwork on the keep-out layer and master page items are obstacles
+        var keepOutBounds = settings.useKeepOutZones
+            ? getKeepOutBoundsIndesign(pages[i], items, settings.keepOutLayerName, settings.keepOutMasterPageItems, settings.binsLayerName)
+            : [];
+
         for (var j = 0, binBounds; j < pageBinsBounds.length; j++) {
 
             binBounds = pageBinsBounds[j];
 
-            bins.push({
+            var bin = {
                 page: pages[i],
+                isStrip: stripPacking,
                 bounds: binBounds,
                 width: binBounds[3] - binBounds[1] + padding,
                 height: binBounds[2] - binBounds[0] + padding,
-            });
+            };
+
+            bin.obstacles = getBinObstacles(bin, keepOutBounds, padding);
+
+            bins.push(bin);
 
         }
 
     }
 
+    if (
+        settings.addBinsAsNeeded
+        && !stripPacking
+        && !fitBin
+        && 0 === binPaths.length
+    ) {
+
+        // bins like those on the last page, which only
+        // become pages if the packing uses them
+        var templatePage = pages[pages.length - 1],
+            templateBins = [];
+
+        for (var i = 0; i < bins.length; i++) {
+            if (templatePage.id === bins[i].page.id)
+                templateBins.push(bins[i]);
+        }
+
+        var extraBins = makeExtraBins(templateBins, totalItemCount),
+            masterKeepOutBounds = settings.useKeepOutZones && settings.keepOutMasterPageItems
+                ? getMasterPageKeepOutBoundsIndesign(templatePage)
+                : [];
+
+        for (var i = 0; i < extraBins.length; i++)
+            extraBins[i].obstacles = getBinObstacles(extraBins[i], masterKeepOutBounds, padding);
+
+        bins = bins.concat(extraBins);
+
+    }
+
     // add bins to settings because Block methods need them
     settings.bins = bins;
 
@@ -280,119 +539,99 @@ function packItemsIndesign(settings, randomAttempt) {
 
     if (pb) pb.setItemsPackedProgress(0, totalItemCount);
 
-    // rotate the items to fit best in rectangle
-    if (allowAnyRotation) {
+    // rotate the items to fit best in rectangle,
+    // unless an item's "rotate" tag says otherwise
+    for (var i = 0, angle, rotation; i < items.length; i++) {
 
-        for (var i = 0, angle; i < items.length; i++) {
+        rotation = getItemRotation(items[i]);
 
-            angle = findRotationByMinimalBoundsIndesign(items[i]);
+        if (
+            'any' !== rotation
+            && (!allowAnyRotation || undefined != rotation)
+        )
+            continue;
 
-            // rotate item to fit smallest rectangle
-            items[i].transform(
-                CoordinateSpaces.pasteboardCoordinates,
-                AnchorPoint.CENTER_ANCHOR,
-                app.transformationMatrices.add({ counterclockwiseRotationAngle: - angle }),
-            );
+        angle = findRotationByMinimalBoundsIndesign(items[i]);
 
-        }
+        // rotate item to fit smallest rectangle
+        items[i].transform(
+            CoordinateSpaces.pasteboardCoordinates,
+            AnchorPoint.CENTER_ANCHOR,
+            app.transformationMatrices.add({ counterclockwiseRotationAngle: - angle }),
+        );
 
     }
 
     var bestAttempt;
 
-    attemptsLoop:
-    for (var a = 0; a < maxAttemptCount; a++) {
-        $.writeln('attempt ' + a);
+    if (fitBin) {
 
-        if (pb)
-            pb.setAttemptProgress(a + 1, maxAttemptCount);
+        // search for the smallest page that holds every item
+        var page = app.activeWindow.activePage,
+            bin = bins[0];
 
-        var attempt = new Attempt(a, bins);
+        for (var i = 0; i < bins.length; i++) {
+            if (page.id === bins[i].page.id)
+                bin = bins[i];
+        }
 
-        // make a fresh array of 'blocks' which will store positioning information
-        for (var i = 0, block; i < items.length; i++) {
-            $.writeln('  item ' + i);
+        page = bin.page;
 
-            block = new Block(settings, items[i], i);
-            attempt.remainingBlocks.push(block);
+        var insets = [
+            bin.bounds[0] - page.bounds[0],
+            bin.bounds[1] - page.bounds[1],
+            page.bounds[2] - bin.bounds[2],
+            page.bounds[3] - bin.bounds[3],
+        ],
+            keepOutBounds = settings.useKeepOutZones
+                ? getKeepOutBoundsIndesign(page, items, settings.keepOutLayerName, settings.keepOutMasterPageItems, settings.binsLayerName)
+                : [];
 
-            if (a == 0)
-                totalItemArea += block.w * block.h;
+        bestAttempt = fitBinToItems(settings, items, bin, insets, keepOutBounds, seed);
 
+        if (bestAttempt) {
+            resizePage(page, bestAttempt.frameSize, bestAttempt.bin);
+            bins = settings.bins = [bestAttempt.bin];
         }
 
-        if (!settings.doNotSort) {
-            // we use attempt.index as the `sortType`
-            // to cycle through each sorting method
-            // before resorting to random shuffle
-            sortBlocks(attempt, randomAttempt ? Infinity : attempt.index);
+        else {
+            settings.info.push('Could not fit every item onto one page.');
         }
 
-        binsLoop:
-        for (var i = 0; i < bins.length; i++) {
-
-            var bin = bins[i],
-
-                // instantiate Trentium's packer
-                packer = new Packer(bin.width, bin.height, allow90DegreeRotation),
-
-                // do the fitting
-                result = packer.fit(attempt.remainingBlocks, i);
-
-            attempt.area += result.area;
-            attempt.binCount = i + 1;
-            attempt.packedBlocks = attempt.packedBlocks.concat(result.packedBlocks);
-            attempt.remainingBlocks = result.remainingBlocks.slice();
-
-            // calculate score for this bin
-            var scoreFactor = preferCount
-                ? totalItemCount / result.count
-                : totalItemArea / result.area;
-
-            attempt.score += ((bin.width * bin.height) / result.area) * scoreFactor;
+    }
 
-            // add info for this attempt
-            attempt.info.push('Packed ' + result.count + ' items into bin ' + (i + 1) + ' (page ' + bin.page.name + ').');
+    if (!bestAttempt)
+        bestAttempt = findBestAttempt(settings, items, bins, randomAttempt, seed);
 
-            packer.destroy();
+    // make the extra bins that were used into pages
+    addPagesForExtraBins(doc, bins.slice(0, bestAttempt.binCount));
 
-            if (0 === attempt.remainingBlocks.length)
-                break;
+    if (
+        stripPacking
+        && bestAttempt.packedBlocks.length > 0
+    )
+        // search for the shortest strip
+        shortenStrip(bestAttempt, bins[0], settings);
 
-        } // end bin loop
+    if (settings.compactToward)
+        // close up the gaps
+        compactBlocks(bestAttempt, bins, settings.compactToward, settings.padding, settings.keepGroupsAdjacent);
 
-        // an attempt with a lower binCount always wins
-        attempt.score += (bins.length - attempt.binCount) * 100;
-        attempt.score -= attempt.remainingBlocks.length * 100;
+    // offset the packed items within each page
+    alignBlocks(bestAttempt, bins, settings.alignItems, settings.bleedMode, settings.keepGroupsAdjacent);
 
-        if (
-            undefined == bestAttempt
-            || attempt.score > bestAttempt.score
-        ) {
-            // the best attempt so far
-            bestAttempt = attempt;
-
-            if (pb) {
-                pb.setItemsPackedProgress(bestAttempt.packedBlocks.length, totalItemCount);
-                pb.setBestBinCount(bestAttempt.binCount, bestAttempt.index);
-            }
+    if (undefined != bestAttempt.stripLength) {
 
-        }
+        // fit the page's length to the strip, plus margins
+        var page = bins[0].page,
+            topMargin = bins[0].bounds[0] - page.bounds[0],
+            bottomMargin = settings.usePageMargins ? page.marginPreferences.bottom : margin;
 
-        if (settings.doNotSort)
-            // only need one attempt if not sorting
-            break;
+        bestAttempt.rollLength = topMargin + bestAttempt.stripLength + bottomMargin;
 
-        // try a minimum of 5 times (once for each sort method)
-        if (
-            true !== settings.tryHarder
-            && a > 4
-            && 0 === bestAttempt.remainingBlocks.length
-        )
-            // all blocks are fitting so don't bother with more attempts
-            break;
+        resizePage(page, [page.bounds[3] - page.bounds[1], bestAttempt.rollLength], bins[0]);
 
-    } // end attempts loop
+    }
 
     /** ------------------------- *
      * Position items according   *
@@ -404,15 +643,61 @@ function packItemsIndesign(settings, randomAttempt) {
 
         finalPackedBlockCount = bestAttempt.packedBlocks.length;
 
+        // each packed copy needs its own item
+        duplicatePackedCopies(bestAttempt.packedBlocks);
+
         // position the items from the best attempt
         for (var i = 0; i < finalPackedBlockCount; i++)
             bestAttempt.packedBlocks[i].positionItemOnPage(settings);
 
+        if (settings.bleedMode) {
+
+            // crop each bleed where it meets a neighbour's
+            clipBleeds(bestAttempt, bins, settings.padding, settings.margin);
+
+            var unclippedCount = 0;
+
+            for (var i = 0; i < finalPackedBlockCount; i++)
+                if (!bestAttempt.packedBlocks[i].clipItemOnPage(settings))
+                    unclippedCount++;
+
+            if (unclippedCount > 0)
+                settings.info.push(unclippedCount + ' item' + (unclippedCount > 1 ? 's\'' : '\'s') + ' bleed could not be cropped (only graphic frames can be).');
+
+        }
+
+    }
+
+    if (bestAttempt.cuts.length > 0) {
+
+        var cutLines = getCutLines(bestAttempt, settings);
+        bestAttempt.cutList = describeCutLines(cutLines, settings, true);
+
+        if (settings.drawCutLines)
+            drawCutLinesIndesign(doc, cutLines, settings);
+
+    }
+
+    else if (
+        settings.bleedMode
+        && finalPackedBlockCount > 0
+    ) {
+
+        // the trim lines, with each shared cut listed once
+        var trimLines = bestAttempt.trimLines = getTrimLines(bestAttempt, settings);
+        bestAttempt.cutList = describeCutLines(trimLines, settings, true);
+
+        if (settings.drawCutLines)
+            drawCutLinesIndesign(doc, trimLines, settings);
+
     }
 
     var remainingBlockCount = totalItemCount - finalPackedBlockCount;
 
     settings.info = settings.info.concat(bestAttempt.info);
+    bestAttempt.copyCounts = describeCopyCounts(bestAttempt, items, quantities);
+    bestAttempt.rotatedItems = describeRotatedItems(bestAttempt, items);
+    bestAttempt.unpackedReasons = describeUnpackedItems(bestAttempt, items, bins, settings.allow90DegreeRotation);
 
     if (remainingBlockCount > 0)
         settings.info.push(remainingBlockCount + ' item' + (remainingBlockCount > 1 ? 's' : '') + ' remaining.');
@@ -422,12 +707,8 @@ function packItemsIndesign(settings, randomAttempt) {
 
     if (settings.keepRemainingItemsSelected) {
 
-        var selected = [];
-
-        for (var i = 0; i < bestAttempt.remainingBlocks.length; i++)
-            selected.push(bestAttempt.remainingBlocks[i].item);
-
-        doc.selection = selected;
+        // the items with no copies packed
+        doc.selection = getUnpackedItems(bestAttempt);
 
     }
 
@@ -465,25 +746,81 @@ function ui(settings) {
         marginLabel = marginGroup.add('statictext { text: "Page margin:" }'),
         marginField = marginGroup.add('edittext {text: "", preferredSize: [120,-1] }'),
         usePageMarginsCheckbox = marginGroup.add("Checkbox { alignment:'left', text:'Use Page Margins', margins:[0,10,0,0], value:true }"),
+        keepOutCheckbox = marginGroup.add("Checkbox { alignment:'left', text:'Avoid keep-out zones', margins:[0,10,0,0], value:true }"),
+        binPathCheckbox = marginGroup.add("Checkbox { alignment:'left', text:'Pack into selected path', margins:[0,10,0,0], value:false }"),
 
         useGuidesGroup = panel1.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,20,0,0], preferredSize: [120,-1] }'),
         useGuidesToDivideBinsCheckbox = useGuidesGroup.add("Checkbox { alignment:'left', text:'Divide Bins At Guides', margins:[0,10,0,0], value:true }"),
         useGuidesMarginLabel = useGuidesGroup.add('statictext { text: "Margin around guides:" }'),
         useGuidesMarginField = useGuidesGroup.add('edittext {text: "", preferredSize: [120,-1] }'),
 
+        compactGroup = panel1.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        compactLabel = compactGroup.add('statictext { text:"Compact toward:" }'),
+        compactMenu = compactGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
+        alignGroup = panel1.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        alignLabel = alignGroup.add('statictext { text:"Align items:" }'),
+        alignMenu = alignGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
+        originGroup = panel1.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        originLabel = originGroup.add('statictext { text:"Start from:" }'),
+        originMenu = originGroup.add('dropDownList { preferredSize:[120,-1] }'),
+        fillDirectionMenu = originGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
         maxAttemptsGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
         maxAttemptsLabel = maxAttemptsGroup.add('statictext { text:"Max attempts:" }'),
         maxAttemptsField = maxAttemptsGroup.add('edittext { text: "", preferredSize: [120,-1] }'),
 
+        searchGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        searchLabel = searchGroup.add('statictext { text:"Search for (seconds):" }'),
+        searchField = searchGroup.add('edittext { text: "", preferredSize: [120,-1] }'),
+
+        targetGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        targetLabel = targetGroup.add('statictext { text:"Target utilization (%):" }'),
+        targetField = targetGroup.add('edittext { text: "", preferredSize: [120,-1] }'),
+
         bestFitGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
-        bestFitLabel = bestFitGroup.add('statictext { text:"Maximize:" }'),
+        bestFitLabel = bestFitGroup.add('statictext { text:"Prefer:" }'),
         bestFitMenu = bestFitGroup.add('dropDownList { preferredSize:[120,-1] }'),
 
+        placementGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        placementLabel = placementGroup.add('statictext { text:"Placement:" }'),
+        placementMenu = placementGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
+        binAssignmentGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        binAssignmentLabel = binAssignmentGroup.add('statictext { text:"Fill pages:" }'),
+        binAssignmentMenu = binAssignmentGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
+        optimizerGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        optimizerLabel = optimizerGroup.add('statictext { text:"Optimizer:" }'),
+        optimizerMenu = optimizerGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
+        seedGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        seedLabel = seedGroup.add('statictext { text:"Seed:" }'),
+        seedField = seedGroup.add('edittext { text: "", preferredSize: [120,-1] }'),
+
+        fitBinGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,10,0,0], preferredSize: [120,-1] }'),
+        fitBinLabel = fitBinGroup.add('statictext { text:"Fit page to items:" }'),
+        fitBinMenu = fitBinGroup.add('dropDownList { preferredSize:[120,-1] }'),
+
         checkboxGroup = panel2.add('group {orientation:"column", alignment:["left","top"], alignChildren: ["left","top"], margins:[0,20,0,0], preferredSize: [120,-1] }'),
         allowRotationCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Allow 90\u00b0 rotation', margins:[0,10,0,0], value:false }"),
         allowAnyRotationCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Allow any rotation', margins:[0,10,0,0], value:false }"),
         tryHarderCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Try harder', margins:[0,10,0,0], value:false }"),
         disableSortingCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Do not sort', margins:[0,10,0,0], value:false }"),
+        guillotineCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Guillotine cuts', margins:[0,10,0,0], value:false }"),
+        bleedModeCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Bleed mode', margins:[0,10,0,0], value:false }"),
+        drawCutLinesCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Draw cut lines', margins:[0,10,0,0], value:false }"),
+        addBinsCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Add pages as needed', margins:[0,10,0,0], value:false }"),
+        stripPackingCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Strip packing', margins:[0,10,0,0], value:false }"),
+        keepGroupsAdjacentCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Place groups side by side', margins:[0,10,0,0], value:false }"),
+        balanceCheckbox = checkboxGroup.add("Checkbox { alignment:'left', text:'Balance across pages', margins:[0,10,0,0], value:false }"),
+
+        quantityPanel = w.add('panel {orientation:"column", alignment:["fill","top"], alignChildren: ["fill","top"], margins:[10,15,10,10] }'),
+        quantityList = quantityPanel.add('listbox', [0, 0, 250, 100], undefined, { numberOfColumns: 2, showHeaders: true, columnTitles: ['Item', 'Qty'], columnWidths: [190, 50] }),
+        quantityGroup = quantityPanel.add('group {orientation:"row", alignment:["left","top"] }'),
+        quantityLabel = quantityGroup.add('statictext { text:"Quantity:" }'),
+        quantityField = quantityGroup.add('edittext { text: "", preferredSize: [60,-1], enabled: false }'),
 
         showResultsCheckbox = w.add("Checkbox { alignment:'left', text:'Show results summary', margins:[0,10,0,0], value:false }"),
 
@@ -494,30 +831,246 @@ function ui(settings) {
         cancelButton = buttonGroup.add('button', undefined, 'Cancel', { name: 'cancel' }),
         packButton = buttonGroup.add('button', undefined, 'Pack', { name: 'ok' });
 
-    var items = settings.items;
+    var items = settings.items,
+        quantities = settings.quantities = settings.quantities || getItemQuantities(items);
 
     if (undefined == settings.margin)
         settings.margin = '0 mm';
 
+    // labels for the 'placementRule' menu, the first item cycles through all rules
+    var placementRules = [undefined].concat(Packer.PLACEMENT_RULES),
+        placementLabels = ['All rules', 'First fit', 'Best short side', 'Best long side', 'Best area', 'Bottom left', 'Contact point'];
+
     if (undefined == settings.maxAttemptCount)
-        settings.maxAttemptCount = getMaxAttemptCount(items.length);
+        settings.maxAttemptCount = getMaxAttemptCount(getCopyCount(items, quantities), getPlacementRules(getPackerType(settings, getCopyCount(items, quantities)), settings.placementRule).length);
 
     w.preferredSize.width = 250;
-    introText.text = 'Trying to pack ' + settings.items.length + ' items onto ' + settings.doc.pages.length + ' pages';
+    introText.text = 'Trying to pack ' + getCopyCount(items, quantities) + ' items onto ' + settings.doc.pages.length + ' pages';
     marginField.text = String(settings.margin);
+    keepOutCheckbox.value = settings.useKeepOutZones;
+    keepOutCheckbox.helpTip = 'Keep packed items away from locked artwork, master page items, and artwork on the "' + settings.keepOutLayerName + '" layer.';
+    binPathCheckbox.value = settings.useSelectedPathAsBin;
+    binPathCheckbox.helpTip = 'Pack into the largest selected closed path, instead of the pages.';
     paddingField.text = String(settings.padding);
     useGuidesToDivideBinsCheckbox.value = settings.useGuidesToDivideBins;
     useGuidesMarginField.text = String(settings.guidesMargin);
     maxAttemptsField.text = String(settings.maxAttemptCount);
+    searchField.text = settings.searchSeconds ? String(settings.searchSeconds) : '';
+    searchField.helpTip = 'Keep improving the packing for this many seconds, instead of making "Max attempts" attempts. Leave empty to turn off. The packing then depends on the computer\'s speed, so can\'t be repeated from its seed.';
+    targetField.text = settings.targetUtilization ? String(Math.round(settings.targetUtilization * 100)) : '';
+    targetField.helpTip = 'Stop once every item is packed, using at least this much of the pages\' area. Leave empty to turn off.';
     allowRotationCheckbox.value = settings.allow90DegreeRotation;
     allowAnyRotationCheckbox.value = settings.allowAnyRotation;
     tryHarderCheckbox.value = settings.tryHarder;
     disableSortingCheckbox.value = settings.doNotSort;
+    guillotineCheckbox.value = 'guillotine' === settings.packerType;
+    bleedModeCheckbox.value = settings.bleedMode;
+    bleedModeCheckbox.helpTip = 'Pack items by their trim boxes (a frame named "trim", or else their geometric bounds), letting bleeds overlap and cropping them where neighbours meet. Space between items is the space between trim boxes.';
+    drawCutLinesCheckbox.value = settings.drawCutLines;
+    drawCutLinesCheckbox.enabled = guillotineCheckbox.value || bleedModeCheckbox.value;
+
+    addBinsCheckbox.value = settings.addBinsAsNeeded;
+    addBinsCheckbox.helpTip = 'Add pages, with the same size, master and margins as the last page, until every item that can fit is packed.';
+    stripPackingCheckbox.value = settings.stripPacking;
+    stripPackingCheckbox.helpTip = 'For roll-fed media: pack onto the first page, as short as possible, then fit the page\'s length to the packed items.';
+
+    guillotineCheckbox.onClick = bleedModeCheckbox.onClick = function () {
+        drawCutLinesCheckbox.enabled = guillotineCheckbox.value || bleedModeCheckbox.value;
+    };
     showResultsCheckbox.value = settings.showResults;
 
-    bestFitMenu.add('item', 'Items packed');
-    bestFitMenu.add('item', 'Area packed');
-    bestFitMenu.selection = 0;
+    // labels for the 'bestFitBy' menu
+    var scoringStrategies = ['count', 'area', 'waste', 'bounding-box', 'rotations', 'largest-offcut'],
+        scoringLabels = ['Items packed', 'Area packed', 'Least waste', 'Smallest bounds', 'Fewest rotations', 'Largest offcut'];
+
+    // plus the user's own strategies
+    if (settings.scoringStrategies) {
+        for (var name in settings.scoringStrategies) {
+            if (settings.scoringStrategies.hasOwnProperty(name) && !SCORING_STRATEGIES.hasOwnProperty(name)) {
+                scoringStrategies.push(name);
+                scoringLabels.push(name);
+            }
+        }
+    }
+
+    for (var i = 0; i < scoringLabels.length; i++) {
+
+        bestFitMenu.add('item', scoringLabels[i]);
+
+        if (settings.bestFitBy === scoringStrategies[i])
+            bestFitMenu.selection = i;
+
+    }
+
+    if (!bestFitMenu.selection)
+        bestFitMenu.selection = 0;
+
+    // labels for the 'fitBinToItems' menu
+    var fitBinModes = [undefined, 'width', 'aspect', 'area'],
+        fitBinLabels = ['Off', 'Keep width', 'Keep proportions', 'Least area'];
+
+    for (var i = 0; i < fitBinLabels.length; i++) {
+
+        fitBinMenu.add('item', fitBinLabels[i]);
+
+        if (settings.fitBinToItems === fitBinModes[i])
+            fitBinMenu.selection = i;
+
+    }
+
+    fitBinMenu.helpTip = 'Find the smallest page that holds every item, and resize the active page to it.';
+
+    // the quantity table, one row per item
+    for (var i = 0, row; i < items.length; i++) {
+        row = quantityList.add('item', items[i].name || '<' + items[i].constructor.name + ' ' + (i + 1) + '>');
+        row.subItems[0].text = String(quantities[i]);
+    }
+
+    quantityList.helpTip = 'The number of copies of each item to pack. Set an item\'s default by adding "qty:40" to its name or script label.';
+
+    quantityList.onChange = function () {
+        quantityField.enabled = null != quantityList.selection;
+        quantityField.text = quantityList.selection ? quantities[quantityList.selection.index] : '';
+    };
+
+    quantityField.onChanging = function () {
+
+        var quantity = parseInt(quantityField.text, 10);
+
+        if (
+            !quantityList.selection
+            || isNaN(quantity)
+        )
+            return;
+
+        quantities[quantityList.selection.index] = Math.max(0, quantity);
+        quantityList.selection.subItems[0].text = String(quantities[quantityList.selection.index]);
+
+    };
+
+    for (var i = 0; i < placementLabels.length; i++) {
+
+        placementMenu.add('item', placementLabels[i]);
+
+        if (settings.placementRule === placementRules[i])
+            placementMenu.selection = i;
+
+    }
+
+    // labels for the 'packingOrigin' menu
+    var packingOrigins = PACKING_ORIGINS.concat('all'),
+        packingOriginLabels = ['Top left', 'Top right', 'Bottom left', 'Bottom right', 'All corners'];
+
+    for (var i = 0; i < packingOriginLabels.length; i++) {
+
+        originMenu.add('item', packingOriginLabels[i]);
+
+        if (settings.packingOrigin === packingOrigins[i])
+            originMenu.selection = i;
+
+    }
+
+    if (!originMenu.selection)
+        originMenu.selection = 0;
+
+    originMenu.helpTip = 'The corner of each page to start packing from. All corners tries each corner across attempts.';
+
+    // labels for the 'fillDirection' menu
+    var fillDirections = ['rows', 'columns'],
+        fillDirectionLabels = ['Rows first', 'Columns first'];
+
+    for (var i = 0; i < fillDirectionLabels.length; i++) {
+
+        fillDirectionMenu.add('item', fillDirectionLabels[i]);
+
+        if (settings.fillDirection === fillDirections[i])
+            fillDirectionMenu.selection = i;
+
+    }
+
+    if (!fillDirectionMenu.selection)
+        fillDirectionMenu.selection = 0;
+
+    // labels for the 'compactToward' menu
+    var compactCorners = [undefined, 'top-left', 'top-right', 'bottom-left', 'bottom-right'],
+        compactLabels = ['Off', 'Top left', 'Top right', 'Bottom left', 'Bottom right'];
+
+    for (var i = 0; i < compactLabels.length; i++) {
+
+        compactMenu.add('item', compactLabels[i]);
+
+        if (settings.compactToward === compactCorners[i])
+            compactMenu.selection = i;
+
+    }
+
+    compactMenu.helpTip = 'After packing, slide the items toward this corner of each page, closing up any gaps.';
+
+    // labels for the 'alignItems' menu
+    var alignments = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right', 'justify'],
+        alignLabels = ['Top left', 'Top', 'Top right', 'Left', 'Center', 'Right', 'Bottom left', 'Bottom', 'Bottom right', 'Justify'];
+
+    for (var i = 0; i < alignLabels.length; i++) {
+
+        alignMenu.add('item', alignLabels[i]);
+
+        if (settings.alignItems === alignments[i])
+            alignMenu.selection = i;
+
+    }
+
+    if (!alignMenu.selection)
+        alignMenu.selection = 0;
+
+    alignMenu.helpTip = 'Where to put the packed items within each page. Justify spreads them out to fill it, pulling apart items that touch.';
+
+    // labels for the 'binAssignment' menu
+    var binAssignments = ['in-order', 'best-fit'],
+        binAssignmentLabels = ['In order', 'Best fit'];
+
+    for (var i = 0; i < binAssignmentLabels.length; i++) {
+
+        binAssignmentMenu.add('item', binAssignmentLabels[i]);
+
+        if (settings.binAssignment === binAssignments[i])
+            binAssignmentMenu.selection = i;
+
+    }
+
+    if (!binAssignmentMenu.selection)
+        binAssignmentMenu.selection = 0;
+
+    keepGroupsAdjacentCheckbox.value = settings.keepGroupsAdjacent;
+    keepGroupsAdjacentCheckbox.helpTip = 'Place the items of each group, tagged eg. "group:card-17", side by side, each touching another. Each group always goes on one page.';
+    balanceCheckbox.value = settings.balanceBins;
+    balanceCheckbox.helpTip = 'Spread the items evenly across the existing pages, instead of using as few as possible: equal item counts when maximizing items packed, or equally full when maximizing area packed.';
+
+    binAssignmentMenu.helpTip = 'In order: fill each page in turn. Best fit: decide across all the pages, putting each item into the fullest page it fits.';
+
+    // labels for the 'optimizer' menu
+    var optimizers = ['annealing', 'genetic', 'shuffle'],
+        optimizerLabels = ['Simulated annealing', 'Genetic algorithm', 'Random shuffle'];
+
+    for (var i = 0; i < optimizerLabels.length; i++) {
+
+        optimizerMenu.add('item', optimizerLabels[i]);
+
+        if (settings.optimizer === optimizers[i])
+            optimizerMenu.selection = i;
+
+    }
+
+    if (!optimizerMenu.selection)
+        optimizerMenu.selection = 2;
+
+    optimizerMenu.helpTip = 'How to search for better attempts after the preset sorts: improve on the best attempts so far, or shuffle afresh every attempt.';
+
+    seedField.text = undefined == settings.seed ? '' : String(settings.seed);
+    seedField.helpTip = 'Leave empty for a new packing every time, or enter the seed shown in the results to repeat that packing.';
+
+    if (undefined != settings.lastSeed)
+        // the seed of the last random attempt
+        randomResult.text = 'Seed: ' + settings.lastSeed;
 
     updateUI();
 
@@ -579,15 +1132,48 @@ function ui(settings) {
 
         settings.padding = paddingField.text;
         settings.margin = marginField.text;
+        settings.useKeepOutZones = keepOutCheckbox.value;
+        settings.useSelectedPathAsBin = binPathCheckbox.value;
+
+        if (!settings.useSelectedPathAsBin) {
+            // a random attempt may have taken out the bin path
+            settings.items = items;
+            settings.binPath = undefined;
+            settings.binPathIndex = undefined;
+        }
+
         settings.useGuidesToDivideBins = useGuidesToDivideBinsCheckbox.value;
         settings.guidesMargin = useGuidesMarginField.text;
         settings.maxAttemptCount = Number(maxAttemptsField.text);
-        settings.bestFitBy = bestFitMenu.selection.index == 0 ? 'count' : 'area';
+        settings.searchSeconds = Number(searchField.text) || undefined;
+        settings.targetUtilization = Number(targetField.text) / 100 || undefined;
+        settings.bestFitBy = scoringStrategies[bestFitMenu.selection.index];
+        settings.packingOrigin = packingOrigins[originMenu.selection.index];
+        settings.fillDirection = fillDirections[fillDirectionMenu.selection.index];
+        settings.compactToward = compactCorners[compactMenu.selection.index];
+        settings.alignItems = alignments[alignMenu.selection.index];
+        settings.placementRule = placementRules[placementMenu.selection.index];
+        settings.binAssignment = binAssignments[binAssignmentMenu.selection.index];
+        settings.keepGroupsAdjacent = keepGroupsAdjacentCheckbox.value;
+        settings.balanceBins = balanceCheckbox.value;
+        settings.optimizer = optimizers[optimizerMenu.selection.index];
+        settings.seed = Math.floor(Number(seedField.text)) || undefined;
+        settings.fitBinToItems = fitBinModes[fitBinMenu.selection.index];
         settings.allow90DegreeRotation = allowRotationCheckbox.value;
         settings.allowAnyRotation = allowAnyRotationCheckbox.value;
         settings.usePageMargins = usePageMarginsCheckbox.value;
         settings.tryHarder = tryHarderCheckbox.value;
         settings.doNotSort = disableSortingCheckbox.value;
+        settings.packerType = guillotineCheckbox.value ? 'guillotine' : 'maxrects';
+        settings.bleedMode = bleedModeCheckbox.value;
+        settings.drawCutLines = drawCutLinesCheckbox.value;
+        settings.addBinsAsNeeded = addBinsCheckbox.value;
+        settings.stripPacking = stripPackingCheckbox.value;
+        settings.quantities = quantities.slice();
+
+        if (undefined != settings.binPathIndex)
+            // a random attempt has already taken out the bin path
+            settings.quantities.splice(settings.binPathIndex, 1);
         settings.showResults = showResultsCheckbox.value;
 
     };
@@ -618,6 +1204,7 @@ function makeProgressWindow() {
         pb2Row = attemptsGroup.add("group {orientation:'row', alignChildren: 'fill', alignment:['fill','top'], margins: [15,15,15,15] }"),
         pb2 = pb2Row.add('progressbar { bounds: [12, 12, 400, 12], value: 0, maxvalue: 100 }'),
         pb2display = pb2Row.add('statictext { text:"1 / 1", minimumSize: [100,24] }'),
+        searchText = attemptsGroup.add('statictext { text:"", alignment:["fill","top"] }'),
 
         resultsGroup = stack.add("group {orientation:'column', alignChildren: ['fill','fill'], alignment: ['fill','fill'], margins: [15,0,15,0], visible: false }"),
         infoText = resultsGroup.add('statictext { text:"results", preferredSize: [-1,100], properties: { multiline: true } }'),
@@ -636,6 +1223,14 @@ function makeProgressWindow() {
         w.update();
     };
 
+    w.setSearchProgress = function (attemptNumber, elapsedSeconds, searchSeconds, bestScore) {
+        pb2.value = Math.min(elapsedSeconds, searchSeconds);
+        pb2.maxvalue = searchSeconds;
+        pb2display.text = String(attemptNumber);
+        searchText.text = 'Elapsed: ' + Math.round(elapsedSeconds) + ' s, remaining: ' + Math.max(0, Math.round(searchSeconds - elapsedSeconds)) + ' s, best score: ' + Math.round(bestScore);
+        w.update();
+    };
+
     w.setItemsPackedProgress = function (packedItemCount, totalItemCount) {
         pb1.value = packedItemCount;
         pb1.maxvalue = totalItemCount;
@@ -652,97 +1247,288 @@ function makeProgressWindow() {
 };
 
 /**
- * Returns estimate for maximum attempts count.
- * @param {Number} itemCount - number of items to bec packed.
- * @returns {Number}
+ * Returns the bounds of the artwork on `page` that packed
+ * items must avoid: locked items, items on locked layers,
+ * items on the keep-out layer and, optionally, master page
+ * items. Hidden items, the items being packed and the bins
+ * layer are ignored.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Page} page - an Indesign Page.
+ * @param {Array<PageItem>} items - the items being packed.
+ * @param {String} [keepOutLayerName] - the name of the keep-out layer, not case-sensitive (default: 'keep-out').
+ * @param {Boolean} [includeMasterPageItems] - whether to include master page items (default: false).
+ * @param {String} [binsLayerName] - the name of the bins layer, not case-sensitive (default: 'bins').
+ * @returns {Array<bounds>} - [ [T, L, B, R], ... ]
  */
-function getMaxAttemptCount(itemCount) {
-    return Math.min(200, 4 + Math.floor(Math.log(itemCount) / Math.log(2) * 5));
-}
+function getKeepOutBoundsIndesign(page, items, keepOutLayerName, includeMasterPageItems, binsLayerName) {
 
-function sortBlocksByInterleaving(blocks) {
+    var keepOutBounds = [],
+        packingIds = {},
+        pageItems = page.pageItems.everyItem().getElements();
 
-    // sort blocks by area in descending order
-    blocks.sort(function (a, b) {
-        var areaA = a.w * a.h;
-        var areaB = b.w * b.h;
-        return areaB - areaA;
-    });
+    keepOutLayerName = (keepOutLayerName || 'keep-out').toLowerCase();
+    binsLayerName = (binsLayerName || 'bins').toLowerCase();
 
-    // divide blocks into two groups (larger and smaller areas)
-    var half = Math.ceil(blocks.length / 2);
-    var largerBlocks = blocks.slice(0, half);
-    var smallerBlocks = blocks.slice(half);
+    for (var i = 0; i < items.length; i++)
+        packingIds[items[i].id] = true;
 
-    // interleave blocks from both halves
-    var interleavedBlocks = [];
-    var i = 0, j = 0;
+    for (var i = 0, item, layer; i < pageItems.length; i++) {
 
-    while (i < largerBlocks.length || j < smallerBlocks.length) {
+        item = pageItems[i];
+        layer = item.itemLayer;
 
-        if (i < largerBlocks.length)
-            interleavedBlocks.push(largerBlocks[i++]);
+        if (
+            packingIds[item.id]
+            || !item.visible
+            || !layer.visible
+            || binsLayerName === layer.name.toLowerCase()
+        )
+            continue;
 
-        if (j < smallerBlocks.length)
-            interleavedBlocks.push(smallerBlocks[j++]);
+        if (
+            item.locked
+            || layer.locked
+            || keepOutLayerName === layer.name.toLowerCase()
+        )
+            keepOutBounds.push(item.visibleBounds);
 
     }
 
-    return interleavedBlocks;
+    if (includeMasterPageItems)
+        keepOutBounds = keepOutBounds.concat(getMasterPageKeepOutBoundsIndesign(page));
+
+    return keepOutBounds;
 
 };
 
 /**
- * Sorts an `attempt`'s blocks.
+ * Returns the bounds of the visible master page items on `page`.
  * @author m1b
- * @version 2024-10-13
- * @param {Attempt} attempt - the attempt to sort.
- * @param {Number} [sortType] - index of sorting method (default: random shuffle).
+ * @version 2026-10-19
+ * @param {Page} page - an Indesign Page.
+ * @returns {Array<bounds>} - [ [T, L, B, R], ... ]
  */
-function sortBlocks(attempt, sortType) {
-
-    if (undefined == sortType)
-        sortType = attempt.index;
-
-    switch (sortType) {
-
-        case undefined:
-            attempt.sortType = 'no sorting';
-            break;
-
-        case 0:
-            attempt.remainingBlocks.sort(function byArea(a, b) { return (b.w * b.h) - (a.w * a.h) });
-            attempt.sortType = 'area';
-            break;
-
-        case 1:
-            attempt.remainingBlocks.sort(function byLargestDimension(a, b) { return Math.max(b.w, b.h) - Math.max(a.w, a.h) });
-            attempt.sortType = 'largest dimension'
-            break;
-
-        case 2:
-            attempt.remainingBlocks.sort(function byWidth(a, b) { return b.w - a.w });
-            attempt.sortType = 'width'
-            break;
-
-        case 3:
-            attempt.remainingBlocks.sort(function byHeight(a, b) { return b.h - a.h });
-            attempt.sortType = 'height'
-            break;
-
-        case 4:
-            // interleave large and small items
-            attempt.remainingBlocks = sortBlocksByInterleaving(attempt.remainingBlocks);
-            attempt.sortType = 'interleaving'
-            break;
-
-        default:
-            // random sort
-            shuffle(attempt.remainingBlocks);
-            attempt.sortType = 'random shuffle'
-            break;
+function getMasterPageKeepOutBoundsIndesign(page) {
+
+    var keepOutBounds = [],
+        masterPageItems = page.masterPageItems;
+
+    for (var i = 0, item, masterPage, b, dy, dx; i < masterPageItems.length; i++) {
+
+        item = masterPageItems[i];
+        masterPage = item.parentPage;
+
+        if (
+            !masterPage
+            || !item.visible
+            || !item.itemLayer.visible
+        )
+            continue;
+
+        // master page items appear at the same position relative to the page
+        b = item.visibleBounds;
+        dy = page.bounds[0] - masterPage.bounds[0];
+        dx = page.bounds[1] - masterPage.bounds[1];
+
+        keepOutBounds.push([b[0] + dy, b[1] + dx, b[2] + dy, b[3] + dx]);
+
     }
 
+    return keepOutBounds;
+
+};
+
+/**
+ * Resizes `page`, keeping its top-left corner, and moves
+ * `bin` along with the page, in case the page has moved
+ * within its spread.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Page} page - an Indesign Page.
+ * @param {Array<Number>} size - the new size [width, height], in points.
+ * @param {Object} bin - the bin on the page.
+ */
+function resizePage(page, size, bin) {
+
+    var oldBounds = page.bounds;
+
+    page.resize(
+        CoordinateSpaces.INNER_COORDINATES,
+        AnchorPoint.TOP_LEFT_ANCHOR,
+        ResizeMethods.REPLACING_CURRENT_DIMENSIONS_WITH,
+        size
+    );
+
+    var dy = page.bounds[0] - oldBounds[0],
+        dx = page.bounds[1] - oldBounds[1];
+
+    bin.bounds = [bin.bounds[0] + dy, bin.bounds[1] + dx, bin.bounds[2] + dy, bin.bounds[3] + dx];
+
+};
+
+/**
+ * Adds a page for each group of extra bins, with the same
+ * size, master and margins as the page they were copied from.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Document} doc - an Indesign Document.
+ * @param {Array<Object>} bins - the bins, including any extra bins to add.
+ */
+function addPagesForExtraBins(doc, bins) {
+
+    var page,
+        extraIndex;
+
+    for (var i = 0; i < bins.length; i++) {
+
+        var bin = bins[i];
+
+        if (!bin.isExtra)
+            continue;
+
+        var templatePage = bin.template.page;
+
+        if (extraIndex !== bin.extraIndex) {
+
+            extraIndex = bin.extraIndex;
+
+            page = doc.pages.add(LocationOptions.AT_END);
+            page.appliedMaster = templatePage.appliedMaster || NothingEnum.NOTHING;
+
+            page.resize(
+                CoordinateSpaces.INNER_COORDINATES,
+                AnchorPoint.TOP_LEFT_ANCHOR,
+                ResizeMethods.REPLACING_CURRENT_DIMENSIONS_WITH,
+                [templatePage.bounds[3] - templatePage.bounds[1], templatePage.bounds[2] - templatePage.bounds[0]]
+            );
+
+            var margins = templatePage.marginPreferences;
+
+            page.marginPreferences.properties = {
+                top: margins.top,
+                left: margins.left,
+                bottom: margins.bottom,
+                right: margins.right,
+                columnCount: margins.columnCount,
+                columnGutter: margins.columnGutter,
+            };
+
+        }
+
+        // the offset from the template page
+        var dy = page.bounds[0] - templatePage.bounds[0],
+            dx = page.bounds[1] - templatePage.bounds[1];
+
+        bin.page = page;
+        bin.bounds = [bin.bounds[0] + dy, bin.bounds[1] + dx, bin.bounds[2] + dy, bin.bounds[3] + dx];
+
+    }
+
+};
+
+/**
+ * Returns the visible closed paths on the bins layer, page
+ * by page, in reading order: top to bottom, then left to right.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Document} doc - an Indesign Document.
+ * @param {String} [binsLayerName] - the name of the bins layer, not case-sensitive (default: 'bins').
+ * @returns {Array<PageItem>}
+ */
+function getBinPathsIndesign(doc, binsLayerName) {
+
+    var binPaths = [];
+
+    binsLayerName = (binsLayerName || 'bins').toLowerCase();
+
+    for (var i = 0; i < doc.pages.length; i++) {
+
+        var pageItems = doc.pages[i].pageItems.everyItem().getElements(),
+            pageBinPaths = [];
+
+        for (var j = 0, item; j < pageItems.length; j++) {
+
+            item = pageItems[j];
+
+            if (
+                item.visible
+                && item.itemLayer.visible
+                && binsLayerName === item.itemLayer.name.toLowerCase()
+                && isClosedPathIndesign(item)
+            )
+                pageBinPaths.push(item);
+
+        }
+
+        pageBinPaths.sort(function (a, b) {
+            return (a.geometricBounds[0] - b.geometricBounds[0])
+                || (a.geometricBounds[1] - b.geometricBounds[1]);
+        });
+
+        binPaths = binPaths.concat(pageBinPaths);
+
+    }
+
+    return binPaths;
+
+};
+
+/**
+ * Returns true when `item` is a closed path.
+ * @param {PageItem} item - an Indesign PageItem.
+ * @returns {Boolean}
+ */
+function isClosedPathIndesign(item) {
+
+    if (
+        !item.hasOwnProperty('paths')
+        || 'GraphicLine' === item.constructor.name
+    )
+        return false;
+
+    return item.paths.length > 0
+        && PathType.CLOSED_PATH === item.paths[0].pathType;
+
+};
+
+/**
+ * Returns the polygons of a closed path, for a shaped bin.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {PageItem} item - the path.
+ * @returns {Array<Array<point>>} - polygons [[x, y], ...].
+ */
+function getPathRingsIndesign(item) {
+
+    var rings = [],
+        paths = item.paths.everyItem().getElements();
+
+    for (var i = 0; i < paths.length; i++) {
+
+        var entirePath = paths[i].entirePath,
+            points = [];
+
+        for (var j = 0, p; j < entirePath.length; j++) {
+
+            p = entirePath[j];
+
+            // a corner point is just the anchor [x, y],
+            // otherwise it is [leftDirection, anchor, rightDirection]
+            if ('number' === typeof p[0])
+                points.push({ anchor: p, leftDirection: p, rightDirection: p });
+            else
+                points.push({ anchor: p[1], leftDirection: p[0], rightDirection: p[2] });
+
+        }
+
+        if (points.length > 2)
+            rings.push(bezierPathToPolygon(points));
+
+    }
+
+    return rings;
+
 };
 
 /**
@@ -767,13 +1553,52 @@ function showResults(settings, attempt) {
         '',
         'Attempt number: ' + attempt.index,
         'SortType: ' + (attempt.sortType || 'not sorted'),
+        'Packer: ' + attempt.packerType + ', placement: ' + attempt.placementRule,
+        'Origin: ' + attempt.origin.corner + ', ' + (attempt.origin.columns ? 'columns' : 'rows') + ' first',
         'Score: ' + Math.round(attempt.score),
+        'Seed: ' + attempt.seed,
+        'Utilization: ' + Math.round(attempt.utilization * 100) + '%',
         ''
     ];
 
+    if (settings.searchSeconds)
+        info.push('Searched for ' + Math.round(attempt.searchSeconds) + ' s, making ' + attempt.attemptCount + ' attempts.', 'A time-limited packing can\'t be repeated from its seed.', '');
+
+    if (attempt.lowerBound)
+        info.push(describeLowerBound(attempt, 'page'), '');
+
+    if (attempt.balance)
+        info.push(describeBalance(attempt.balance), '');
+
+    if (attempt.optimizerSummary)
+        info.push(attempt.optimizerSummary, '');
+
+    if (undefined != attempt.rollLength)
+        info.push('Roll length used: ' + formatLength(attempt.rollLength, getDocumentUnit(settings.doc || app.activeDocument)), '');
+
+    if (undefined != attempt.frameSize)
+        info.push('Page size: ' + formatDimensions(attempt.frameSize, getDocumentUnit(settings.doc || app.activeDocument)), '');
+
+    if (attempt.copyCounts && attempt.copyCounts.length > 0)
+        info = info.concat(attempt.copyCounts, '');
+
+    if (attempt.rotatedItems)
+        info.push(attempt.rotatedItems, '');
+
+    if (attempt.unpackedReasons && attempt.unpackedReasons.length > 0)
+        info = info.concat(attempt.unpackedReasons, '');
+
     info = info.concat(attempt.info);
     resultText.text = info.join('\n');
 
+    if (attempt.cutList) {
+        // the cut sequence, in a field so it can be copied
+        var cutsLabel = resultGroup.add('statictext { text:"' + (attempt.trimLines ? 'Trim lines:' : 'Cut sequence:') + '" }'),
+            cutsText = resultGroup.add('edittext { text:"", properties: { multiline: true, readonly: true, scrolling: true } }');
+        cutsText.preferredSize = [250, 150];
+        cutsText.text = attempt.cutList;
+    }
+
     if (settings.windowLocation)
         w.location = settings.windowLocation;
     else
@@ -783,6 +1608,47 @@ function showResults(settings, attempt) {
 
 };
 
+/**
+ * Draws cut lines on a layer.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Document} doc - an Indesign Document.
+ * @param {Array<Object>} cutLines - the cut lines, from `getCutLines`.
+ * @param {Object} settings - the packing settings.
+ * @param {String} [settings.cutLinesLayerName] - the name of the layer (default: 'Cut Lines').
+ */
+function drawCutLinesIndesign(doc, cutLines, settings) {
+
+    var layerName = settings.cutLinesLayerName || 'Cut Lines',
+        layer = doc.layers.itemByName(layerName),
+        registration = doc.swatches.itemByName('Registration');
+
+    if (!layer.isValid)
+        layer = doc.layers.add({ name: layerName });
+
+    layer.locked = false;
+    layer.visible = true;
+
+    for (var i = 0; i < cutLines.length; i++) {
+
+        var cut = cutLines[i],
+            page = settings.bins[cut.binIndex].page,
+            line = page.graphicLines.add(layer);
+
+        // entirePath is [x, y]
+        line.paths[0].entirePath = 'horizontal' === cut.orientation
+            ? [[cut.start, cut.position], [cut.end, cut.position]]
+            : [[cut.position, cut.start], [cut.position, cut.end]];
+
+        line.strokeWeight = 0.5;
+
+        if (registration.isValid)
+            line.strokeColor = registration;
+
+    }
+
+};
+
 // just for debugging block order
 function listBlocks(blocks) {
 
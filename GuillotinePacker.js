@@ -0,0 +1,359 @@
+/**
+ * GuillotinePacker: 2D rectangular bin packing where every
+ * layout can be separated by edge-to-edge (guillotine) cuts.
+ *
+ * Has the same `fit(blocks, binIndex)` contract as Packer (and the
+ * same `begin`, `find` and `place`, for one block at a time, and
+ * `save` and `restore`, for placing blocks on trial), and
+ * also records the ordered list of cuts for the bin. Each cut
+ * runs across the full width or full height of the piece it
+ * divides, and is recorded after the cuts that made that piece,
+ * so the list can be followed in order on a guillotine cutter.
+ *
+ * @author m1b
+ * @version 2026-10-19
+ */
+GuillotinePacker = function (w, h, allow90DegreeRotation) {
+    this.allow90DegreeRotation = (allow90DegreeRotation == true);
+    this.init(w, h);
+};
+
+GuillotinePacker.prototype.init = function (w, h) {
+    this._root = { x: 0, y: 0, w: w, h: h }
+};
+
+GuillotinePacker.prototype.addObstacles = function (obstacles) {
+    //
+    // Add pre-occupied rectangles { x0, y0, x1, y1 },
+    // which will be cut out of the bin before fitting.
+    //
+    this.obstacles = (this.obstacles || []).concat(obstacles || []);
+};
+
+GuillotinePacker.prototype.fit = function (blocks, binIndex) {
+    //
+    // Loop through all the blocks, placing each into the
+    // free rectangle that it fits best, then dividing the
+    // remainder of that rectangle with guillotine cuts.
+    //
+    this.begin(binIndex);
+
+    var n,
+        block,
+        area = 0,
+        packedBlocks = [],
+        remainingBlocks = [];
+
+    for (n = 0; n < blocks.length; n++) {
+
+        block = blocks[n];
+
+        var freeRect = this.find(block);
+
+        if (freeRect)
+            this.place(block, freeRect);
+
+        // was it packed?
+        if (block.packed) {
+            block.binIndex = binIndex;
+            packedBlocks.push(block);
+            area += block.w * block.h;
+        }
+
+        else {
+            remainingBlocks.push(block);
+        }
+
+    }
+
+    return {
+        count: packedBlocks.length,
+        area: area,
+        packedBlocks: packedBlocks,
+        remainingBlocks: remainingBlocks,
+        cuts: this.cuts,
+    };
+};
+
+GuillotinePacker.prototype.begin = function (binIndex) {
+    //
+    // Start packing the empty bin, one block at a time,
+    // with `find` and `place`.
+    //
+    this.freeRects = [{
+        x0: 0,
+        y0: 0,
+        x1: this._root.w,
+        y1: this._root.h
+    }];
+
+    this.cuts = [];
+    this.binIndex = binIndex;
+
+    if (this.clearances)
+        this.clearances.begin();
+
+    if (this.obstacles) {
+        for (var i = 0; i < this.obstacles.length; i++)
+            this.cutAround(this.obstacles[i]);
+    }
+};
+
+GuillotinePacker.prototype.find = function (block, accept) {
+    //
+    // Position the block in the free rectangle it fits best,
+    // without placing it yet, so the block can still be
+    // tried elsewhere. Returns the free rectangle, if any.
+    // `accept`, if given, is function(rect) returning whether
+    // the block may go in `rect`, { x0, y0, x1, y1 }, the space
+    // it would take, including any space left clear before it.
+    //
+    return this.findFreeRect(block, accept);
+};
+
+GuillotinePacker.prototype.place = function (block, freeRect) {
+    //
+    // Place the block in `freeRect`, found by `find`.
+    //
+    for (var i = 0; i < this.freeRects.length; i++) {
+        if (freeRect === this.freeRects[i]) {
+            this.freeRects.splice(i, 1);
+            break;
+        }
+    }
+
+    this.split(freeRect, block);
+
+    if (this.clearances)
+        this.clearances.add(block);
+};
+
+GuillotinePacker.prototype.canRotate = function (block) {
+    //
+    // Whether to try the block rotated by 90°: the block's
+    // own `allowRotation`, from its item's "rotate" tag,
+    // overrides `allow90DegreeRotation`.
+    //
+    return block.w !== block.h
+        && (undefined != block.allowRotation ? block.allowRotation : this.allow90DegreeRotation);
+};
+
+GuillotinePacker.prototype.findFreeRect = function (block, accept) {
+    //
+    // Find the free rectangle with the least leftover area
+    // after placing the block (in either orientation, if
+    // rotation is allowed), and place the block at its top-left.
+    //
+    var best,
+        orientations = this.canRotate(block) ? [false, true] : [false];
+
+    for (var r = 0; r < orientations.length; r++) {
+
+        var w = orientations[r] ? block.h : block.w,
+            h = orientations[r] ? block.w : block.h;
+
+        for (var i = 0; i < this.freeRects.length; i++) {
+
+            var freeRect = this.freeRects[i],
+                freeW = freeRect.x1 - freeRect.x0,
+                freeH = freeRect.y1 - freeRect.y0,
+                lead = this.getLead(block, orientations[r], w, h, freeRect);
+
+            if (
+                !lead
+                || (accept && !accept({ x0: freeRect.x0, y0: freeRect.y0, x1: freeRect.x0 + lead.x + w, y1: freeRect.y0 + lead.y + h }))
+            )
+                continue;
+
+            // the space left clear before the block counts as part of it
+            var leftoverArea = freeW * freeH - (w + lead.x) * (h + lead.y),
+                shortSide = Math.min(freeW - w - lead.x, freeH - h - lead.y);
+
+            if (
+                undefined == best
+                || leftoverArea < best.leftoverArea
+                || (leftoverArea === best.leftoverArea && shortSide < best.shortSide)
+            )
+                best = { index: i, leftoverArea: leftoverArea, shortSide: shortSide, lead: lead, rotated: orientations[r] };
+
+        }
+
+    }
+
+    if (!best)
+        return;
+
+    if (best.rotated)
+        block.rotate();
+
+    var freeRect = this.freeRects[best.index];
+
+    block.x0 = freeRect.x0 + best.lead.x;
+    block.y0 = freeRect.y0 + best.lead.y;
+    block.x1 = block.x0 + block.w;
+    block.y1 = block.y0 + block.h;
+    block.packed = true;
+
+    return freeRect;
+};
+
+GuillotinePacker.prototype.getLead = function (block, rotated, w, h, freeRect) {
+    //
+    // Returns { x, y }, the space to leave before a w x h block at
+    // the top-left of freeRect, to keep the `clearances` (see
+    // `Clearances`), or undefined if the block doesn't fit there.
+    // The space stays in the block's piece, inside its cuts.
+    //
+    if (
+        w > freeRect.x1 - freeRect.x0
+        || h > freeRect.y1 - freeRect.y0
+    )
+        return;
+
+    if (!this.clearances)
+        return { x: 0, y: 0 };
+
+    return this.clearances.getLead(block, rotated, freeRect.x0, freeRect.y0, w, h, freeRect.x1, freeRect.y1);
+};
+
+GuillotinePacker.prototype.split = function (freeRect, block) {
+    //
+    // Divide what is left of freeRect after placing block
+    // into two free rectangles, with up to two guillotine cuts.
+    // The first cut is made along the shorter leftover
+    // axis, so that the larger leftover stays in one piece.
+    //
+    var leftoverW = freeRect.x1 - block.x1,
+        leftoverH = freeRect.y1 - block.y1;
+
+    if (leftoverW <= leftoverH) {
+
+        // horizontal cut across the full width of freeRect
+        if (leftoverH > 0) {
+            this.addCut('horizontal', block.y1, freeRect.x0, freeRect.x1);
+            this.freeRects.push({ x0: freeRect.x0, y0: block.y1, x1: freeRect.x1, y1: freeRect.y1 });
+        }
+
+        // then a vertical cut across the strip holding the block
+        if (leftoverW > 0) {
+            this.addCut('vertical', block.x1, freeRect.y0, block.y1);
+            this.freeRects.push({ x0: block.x1, y0: freeRect.y0, x1: freeRect.x1, y1: block.y1 });
+        }
+
+    }
+
+    else {
+
+        // vertical cut across the full height of freeRect
+        if (leftoverW > 0) {
+            this.addCut('vertical', block.x1, freeRect.y0, freeRect.y1);
+            this.freeRects.push({ x0: block.x1, y0: freeRect.y0, x1: freeRect.x1, y1: freeRect.y1 });
+        }
+
+        // then a horizontal cut across the strip holding the block
+        if (leftoverH > 0) {
+            this.addCut('horizontal', block.y1, freeRect.x0, block.x1);
+            this.freeRects.push({ x0: freeRect.x0, y0: block.y1, x1: block.x1, y1: freeRect.y1 });
+        }
+
+    }
+};
+
+GuillotinePacker.prototype.cutAround = function (obstacle) {
+    //
+    // Cut the obstacle out of every free rectangle it overlaps:
+    // first across the full width of the free rectangle, above
+    // and below the obstacle, then across the remaining band,
+    // either side of the obstacle.
+    //
+    var freeRects = this.freeRects;
+    this.freeRects = [];
+
+    for (var i = 0; i < freeRects.length; i++) {
+
+        var f = freeRects[i],
+            x0 = Math.max(f.x0, obstacle.x0),
+            y0 = Math.max(f.y0, obstacle.y0),
+            x1 = Math.min(f.x1, obstacle.x1),
+            y1 = Math.min(f.y1, obstacle.y1);
+
+        if (x0 >= x1 || y0 >= y1) {
+            // no overlap
+            this.freeRects.push(f);
+            continue;
+        }
+
+        if (y0 > f.y0) {
+            this.addCut('horizontal', y0, f.x0, f.x1);
+            this.freeRects.push({ x0: f.x0, y0: f.y0, x1: f.x1, y1: y0 });
+        }
+
+        if (y1 < f.y1) {
+            this.addCut('horizontal', y1, f.x0, f.x1);
+            this.freeRects.push({ x0: f.x0, y0: y1, x1: f.x1, y1: f.y1 });
+        }
+
+        if (x0 > f.x0) {
+            this.addCut('vertical', x0, y0, y1);
+            this.freeRects.push({ x0: f.x0, y0: y0, x1: x0, y1: y1 });
+        }
+
+        if (x1 < f.x1) {
+            this.addCut('vertical', x1, y0, y1);
+            this.freeRects.push({ x0: x1, y0: y0, x1: f.x1, y1: y1 });
+        }
+
+    }
+};
+
+GuillotinePacker.prototype.addCut = function (orientation, position, start, end) {
+    //
+    // Record a cut, in packer coordinates.
+    // A 'horizontal' cut runs along y = position, from x = start to x = end;
+    // a 'vertical' cut runs along x = position, from y = start to y = end.
+    //
+    this.cuts.push({
+        binIndex: this.binIndex,
+        orientation: orientation,
+        position: position,
+        start: start,
+        end: end,
+    });
+};
+
+GuillotinePacker.prototype.save = function () {
+    //
+    // Returns the state of the bin, so that blocks can be
+    // placed on trial, then taken out again with `restore`.
+    //
+    var freeRects = [];
+
+    for (var i = 0; i < this.freeRects.length; i++)
+        freeRects.push({ x0: this.freeRects[i].x0, y0: this.freeRects[i].y0, x1: this.freeRects[i].x1, y1: this.freeRects[i].y1 });
+
+    return {
+        freeRects: freeRects,
+        cutCount: this.cuts.length,
+        clearances: this.clearances ? this.clearances.save() : undefined,
+    };
+};
+
+GuillotinePacker.prototype.restore = function (state) {
+    //
+    // Return the bin to `state`, from `save`.
+    //
+    this.freeRects = [];
+
+    for (var i = 0; i < state.freeRects.length; i++)
+        this.freeRects.push({ x0: state.freeRects[i].x0, y0: state.freeRects[i].y0, x1: state.freeRects[i].x1, y1: state.freeRects[i].y1 });
+
+    this.cuts = this.cuts.slice(0, state.cutCount);
+
+    if (this.clearances)
+        this.clearances.restore(state.clearances);
+};
+
+GuillotinePacker.prototype.destroy = function () {
+    this.freeRects = null;
+    this.cuts = null;
+};
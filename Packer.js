@@ -5,15 +5,41 @@
  *
  * Modified by m1b to conform with ExtendScript syntax and minor functionality I wanted.
  */
-Packer = function (w, h, allow90DegreeRotation) {
+Packer = function (w, h, allow90DegreeRotation, placementRule) {
     this.allow90DegreeRotation = (allow90DegreeRotation == true);
+    this.placementRule = placementRule || 'first-fit';
     this.init(w, h);
 };
 
+/**
+ * The placement rules understood by `findInHeap`.
+ * 'first-fit' takes the first heapBlock the block fits into;
+ * the others are the standard MaxRects rules, which score
+ * every heapBlock (in both orientations, if rotation is allowed).
+ * Note: the packer's y axis runs down from the top of the bin,
+ * so 'bottom-left' packs towards the top-left corner.
+ */
+Packer.PLACEMENT_RULES = [
+    'first-fit',
+    'best-short-side',
+    'best-long-side',
+    'best-area',
+    'bottom-left',
+    'contact-point',
+];
+
 Packer.prototype.init = function (w, h) {
     this._root = { x: 0, y: 0, w: w, h: h }
 };
 
+Packer.prototype.addObstacles = function (obstacles) {
+    //
+    // Add pre-occupied rectangles { x0, y0, x1, y1 },
+    // which will be removed from the heap before fitting.
+    //
+    this.obstacles = (this.obstacles || []).concat(obstacles || []);
+};
+
 Packer.prototype.intersect = function (block0, block1) {
     //
     // Returns the intersecting block of
@@ -82,45 +108,129 @@ Packer.prototype.unionMax = function (heapBlock0, heapBlock1) {
 
 Packer.prototype.unionAll = function () {
     //
-    // Loop through the entire heap, looking to eliminate duplicative
+    // Work through the entire heap, looking to eliminate duplicative
     // heapBlocks, and to extend adjoining or intersecting heapBlocks,
     // despite this introducing overlapping heapBlocks.
     //
+    // Only heapBlocks that intersect can affect each other, so rather
+    // than comparing every pair, each heapBlock is compared with the
+    // intersecting heapBlocks found by the spatial index, in heap order.
+    // heapBlocks only ever grow here, so when heapBlock0 grows, the
+    // index is asked again for any new intersecting heapBlocks.
+    //
     for (var i = 0; i < this.heap.length; i++) {
-        for (var j = 0; j < this.heap.length; j++) {
-            if (i !== j) {
-                this.unionMax(this.heap[i], this.heap[j]);
-                if (this.heap[i] && this.heap[j]) {
-                    if (this.chunkContains(this.heap[j], this.heap[i])) {
-                        this.heap[i] = null;
-                    } else if (this.chunkContains(this.heap[i], this.heap[j])) {
-                        this.heap[j] = null;
-                    }
+
+        var heapBlock0 = this.heap[i],
+            lastId = -1,
+            grown = true;
+
+        while (heapBlock0 && grown) {
+
+            grown = false;
+
+            var others = this.intersectingHeapBlocks(heapBlock0, lastId);
+
+            for (var j = 0; j < others.length; j++) {
+
+                var heapBlock1 = others[j],
+                    x0 = heapBlock0.x0,
+                    y0 = heapBlock0.y0,
+                    x1 = heapBlock0.x1,
+                    y1 = heapBlock0.y1;
+
+                lastId = heapBlock1.id;
+
+                this.unionMax(heapBlock0, heapBlock1);
+                this.index.update(heapBlock1);
+
+                if (this.chunkContains(heapBlock1, heapBlock0)) {
+                    this.removeFromHeap(heapBlock0);
+                    heapBlock0 = null;
+                    break;
+                } else if (this.chunkContains(heapBlock0, heapBlock1)) {
+                    this.removeFromHeap(heapBlock1);
+                }
+
+                if (
+                    x0 !== heapBlock0.x0
+                    || y0 !== heapBlock0.y0
+                    || x1 !== heapBlock0.x1
+                    || y1 !== heapBlock0.y1
+                ) {
+                    // look again for heapBlocks intersecting the grown heapBlock0
+                    this.index.update(heapBlock0);
+                    grown = true;
+                    break;
                 }
+
             }
+
         }
+
     }
+
     // Eliminate the duplicative (ie, nulled) heapBlocks.
     var onlyBlocks = [];
     for (var i = 0; i < this.heap.length; i++) {
         if (this.heap[i]) {
+            this.heap[i].heapIndex = onlyBlocks.length;
             onlyBlocks.push(this.heap[i]);
         }
     }
     this.heap = onlyBlocks;
 };
 
+Packer.prototype.intersectingHeapBlocks = function (heapBlock, afterId) {
+    //
+    // Returns the heapBlocks, other than heapBlock, that intersect
+    // it, and come after `afterId` in heap order.
+    //
+    var candidates = this.index.query(heapBlock),
+        found = [];
+
+    for (var i = 0, c; i < candidates.length; i++) {
+        c = candidates[i];
+        // same test as `intersect`, without making the intersection
+        if (
+            c !== heapBlock
+            && c.id > afterId
+            && Math.max(heapBlock.x0, c.x0) <= Math.min(heapBlock.x1, c.x1)
+            && Math.max(heapBlock.y0, c.y0) <= Math.min(heapBlock.y1, c.y1)
+        )
+            found.push(c);
+    }
+
+    // heap order is id order
+    if (found.length > 1)
+        found.sort(function (a, b) { return a.id - b.id });
+
+    return found;
+};
+
+Packer.prototype.addToHeap = function (heapBlock) {
+    //
+    // Add heapBlock to the end of the heap, and to the index.
+    //
+    heapBlock.id = this.nextId++;
+    heapBlock.heapIndex = this.heap.length;
+    this.heap.push(heapBlock);
+    this.index.insert(heapBlock);
+};
+
+Packer.prototype.removeFromHeap = function (heapBlock) {
+    //
+    // Null heapBlock's heap entry, and remove it from the index.
+    //
+    this.heap[heapBlock.heapIndex] = null;
+    this.index.remove(heapBlock);
+};
+
 Packer.prototype.fit = function (blocks, binIndex) {
     //
     // Loop through all the blocks, looking for a heapBlock
     // that it can fit into.
     //
-    this.heap = [{
-        x0: 0,
-        y0: 0,
-        x1: this._root.w,
-        y1: this._root.h
-    }];
+    this.begin(binIndex);
 
     var n,
         block,
@@ -132,19 +242,8 @@ Packer.prototype.fit = function (blocks, binIndex) {
 
         block = blocks[n];
 
-        if (this.findInHeap(block)) {
-            this.adjustHeap(block);
-        }
-
-        else if (this.allow90DegreeRotation) {
-            // If the block didn't fit in its current orientation,
-            // rotate its dimensions and look again.
-            block.rotate();
-
-            if (this.findInHeap(block))
-                this.adjustHeap(block);
-
-        }
+        if (this.find(block))
+            this.place(block);
 
         // was it packed?
         if (block.packed) {
@@ -167,21 +266,97 @@ Packer.prototype.fit = function (blocks, binIndex) {
     };
 };
 
-Packer.prototype.findInHeap = function (block) {
+Packer.prototype.begin = function (binIndex) {
+    //
+    // Start packing the empty bin, one block at a time,
+    // with `find` and `place`.
+    //
+    this.binIndex = binIndex;
+    this.heap = [];
+    this.nextId = 0;
+    this.index = new Packer.SpatialIndex(this._root.w, this._root.h);
+
+    this.addToHeap({
+        x0: 0,
+        y0: 0,
+        x1: this._root.w,
+        y1: this._root.h
+    });
+
+    // the placed blocks, used by the 'contact-point' rule
+    this.placed = [];
+
+    if (this.clearances)
+        this.clearances.begin();
+
+    // remove the obstacles from the heap
+    if (this.obstacles) {
+        for (var i = 0; i < this.obstacles.length; i++)
+            this.adjustHeap(this.obstacles[i]);
+    }
+};
+
+Packer.prototype.find = function (block, accept) {
+    //
+    // Position the block where it fits in the bin, rotating it
+    // if need be, without placing it yet, so the block can
+    // still be tried elsewhere. Returns true if it fits.
+    // `accept`, if given, is function(rect) returning whether
+    // the block may go in `rect`, { x0, y0, x1, y1 }, the space
+    // it would take, including any space left clear before it.
+    //
+    if (this.findInHeap(block, accept))
+        return true;
+
+    if (
+        this.canRotate(block)
+        && 'first-fit' === this.placementRule
+    ) {
+        // If the block didn't fit in its current orientation,
+        // rotate its dimensions and look again.
+        // (The other placement rules already tried both orientations.)
+        block.rotate();
+        return this.findInHeap(block, accept);
+    }
+
+    return false;
+};
+
+Packer.prototype.canRotate = function (block) {
+    //
+    // Whether to try the block rotated by 90°: the block's
+    // own `allowRotation`, from its item's "rotate" tag,
+    // overrides `allow90DegreeRotation`.
+    //
+    return block.w !== block.h
+        && (undefined != block.allowRotation ? block.allowRotation : this.allow90DegreeRotation);
+};
+
+Packer.prototype.place = function (block) {
+    //
+    // Place the block where `find` positioned it.
+    //
+    this.adjustHeap(block);
+
+    if (this.clearances)
+        this.clearances.add(block);
+};
+
+Packer.prototype.findInHeap = function (block, accept) {
     //
     // Find a heapBlock that can contain the block.
     //
+    if ('first-fit' !== this.placementRule)
+        return this.findBestInHeap(block, accept);
+
     for (var i = 0; i < this.heap.length; i++) {
-        var heapBlock = this.heap[i];
-        if (
-            heapBlock
-            && block.w <= heapBlock.x1 - heapBlock.x0
-            && block.h <= heapBlock.y1 - heapBlock.y0
-        ) {
-            block.x0 = heapBlock.x0;
-            block.y0 = heapBlock.y0;
-            block.x1 = heapBlock.x0 + block.w;
-            block.y1 = heapBlock.y0 + block.h;
+        var heapBlock = this.heap[i],
+            lead = heapBlock && this.getLead(block, false, block.w, block.h, heapBlock);
+        if (lead && this.isAccepted(accept, heapBlock, lead, block.w, block.h)) {
+            block.x0 = heapBlock.x0 + lead.x;
+            block.y0 = heapBlock.y0 + lead.y;
+            block.x1 = block.x0 + block.w;
+            block.y1 = block.y0 + block.h;
             block.packed = true;
             return true;
         }
@@ -189,6 +364,155 @@ Packer.prototype.findInHeap = function (block) {
     return false;
 };
 
+Packer.prototype.findBestInHeap = function (block, accept) {
+    //
+    // Score every heapBlock that can contain the block,
+    // in both orientations if rotation is allowed, and
+    // place the block in the best scoring position.
+    //
+    var best,
+        orientations = this.canRotate(block) ? [false, true] : [false];
+
+    for (var r = 0; r < orientations.length; r++) {
+
+        // rotating a block swaps its width and height
+        var w = orientations[r] ? block.h : block.w,
+            h = orientations[r] ? block.w : block.h;
+
+        for (var i = 0; i < this.heap.length; i++) {
+
+            var heapBlock = this.heap[i],
+                lead = heapBlock && this.getLead(block, orientations[r], w, h, heapBlock);
+
+            if (
+                !lead
+                || !this.isAccepted(accept, heapBlock, lead, w, h)
+            )
+                continue;
+
+            // the space left clear before the block counts as part of it
+            var score = this.scorePlacement(heapBlock, w + lead.x, h + lead.y);
+
+            if (
+                undefined == best
+                || score[0] < best.score[0]
+                || (score[0] === best.score[0] && score[1] < best.score[1])
+            )
+                best = { score: score, heapBlock: heapBlock, lead: lead, rotated: orientations[r] };
+
+        }
+
+    }
+
+    if (!best)
+        return false;
+
+    if (best.rotated)
+        block.rotate();
+
+    block.x0 = best.heapBlock.x0 + best.lead.x;
+    block.y0 = best.heapBlock.y0 + best.lead.y;
+    block.x1 = block.x0 + block.w;
+    block.y1 = block.y0 + block.h;
+    block.packed = true;
+    return true;
+};
+
+Packer.prototype.getLead = function (block, rotated, w, h, heapBlock) {
+    //
+    // Returns { x, y }, the space to leave before a w x h block at
+    // the top-left of heapBlock, to keep the `clearances` (see
+    // `Clearances`), or undefined if the block doesn't fit there.
+    //
+    if (
+        w > heapBlock.x1 - heapBlock.x0
+        || h > heapBlock.y1 - heapBlock.y0
+    )
+        return;
+
+    if (!this.clearances)
+        return { x: 0, y: 0 };
+
+    return this.clearances.getLead(block, rotated, heapBlock.x0, heapBlock.y0, w, h, heapBlock.x1, heapBlock.y1);
+};
+
+Packer.prototype.isAccepted = function (accept, heapBlock, lead, w, h) {
+    //
+    // Whether `accept`, if any, allows a w x h block, with its
+    // lead, at the top-left of heapBlock.
+    //
+    return !accept || accept({
+        x0: heapBlock.x0,
+        y0: heapBlock.y0,
+        x1: heapBlock.x0 + lead.x + w,
+        y1: heapBlock.y0 + lead.y + h,
+    });
+};
+
+Packer.prototype.scorePlacement = function (heapBlock, w, h) {
+    //
+    // Returns [primary, secondary] score for placing a
+    // w x h block at the top-left of heapBlock, according
+    // to this.placementRule. Lower scores are better.
+    //
+    var leftoverW = (heapBlock.x1 - heapBlock.x0) - w,
+        leftoverH = (heapBlock.y1 - heapBlock.y0) - h,
+        shortSide = Math.min(leftoverW, leftoverH),
+        longSide = Math.max(leftoverW, leftoverH);
+
+    switch (this.placementRule) {
+
+        case 'best-short-side':
+            return [shortSide, longSide];
+
+        case 'best-long-side':
+            return [longSide, shortSide];
+
+        case 'best-area':
+            return [(heapBlock.x1 - heapBlock.x0) * (heapBlock.y1 - heapBlock.y0) - w * h, shortSide];
+
+        case 'bottom-left':
+            return [heapBlock.y0 + h, heapBlock.x0];
+
+        case 'contact-point':
+            // more contact is better
+            return [-this.contactLength(heapBlock.x0, heapBlock.y0, w, h), heapBlock.y0 + h];
+
+        default:
+            throw Error('Packer: unknown placement rule "' + this.placementRule + '".');
+    }
+};
+
+Packer.prototype.contactLength = function (x0, y0, w, h) {
+    //
+    // Returns the length of the block's perimeter that
+    // would touch the bin edges or already placed blocks.
+    //
+    var x1 = x0 + w,
+        y1 = y0 + h,
+        length = 0;
+
+    if (0 === x0 || this._root.w === x1)
+        length += h;
+
+    if (0 === y0 || this._root.h === y1)
+        length += w;
+
+    for (var i = 0; i < this.placed.length; i++) {
+
+        var p = this.placed[i];
+
+        if (p.x1 === x0 || p.x0 === x1)
+            length += Math.max(0, Math.min(p.y1, y1) - Math.max(p.y0, y0));
+
+        if (p.y1 === y0 || p.y0 === y1)
+            length += Math.max(0, Math.min(p.x1, x1) - Math.max(p.x0, x0));
+
+    }
+
+    return length;
+};
+
 Packer.prototype.adjustHeap = function (block) {
     //
     // Find all heap entries that intersect with block,
@@ -196,59 +520,199 @@ Packer.prototype.adjustHeap = function (block) {
     // into the possible 4 blocks that remain after
     // removing the intersecting portion.
     //
-    var n = this.heap.length;
-    for (var i = 0; i < n; i++) {
-        var heapBlock = this.heap[i];
+    if (this.placed)
+        this.placed.push({ x0: block.x0, y0: block.y0, x1: block.x1, y1: block.y1 });
+
+    var heapBlocks = this.intersectingHeapBlocks(block, -1);
+
+    for (var i = 0; i < heapBlocks.length; i++) {
+        var heapBlock = heapBlocks[i];
         var overlap = this.intersect(heapBlock, block);
-        if (overlap) {
-
-            // Top
-            if (overlap.y1 !== heapBlock.y1) {
-                this.heap.push({
-                    x0: heapBlock.x0,
-                    y0: overlap.y1,
-                    x1: heapBlock.x1,
-                    y1: heapBlock.y1
-                });
-            }
 
-            // Right
-            if (overlap.x1 !== heapBlock.x1) {
-                this.heap.push({
-                    x0: overlap.x1,
-                    y0: heapBlock.y0,
-                    x1: heapBlock.x1,
-                    y1: heapBlock.y1
-                });
-            }
+        // Top
+        if (overlap.y1 !== heapBlock.y1) {
+            this.addToHeap({
+                x0: heapBlock.x0,
+                y0: overlap.y1,
+                x1: heapBlock.x1,
+                y1: heapBlock.y1
+            });
+        }
 
-            // Bottom
-            if (heapBlock.y0 !== overlap.y0) {
-                this.heap.push({
-                    x0: heapBlock.x0,
-                    y0: heapBlock.y0,
-                    x1: heapBlock.x1,
-                    y1: overlap.y0
-                });
-            }
+        // Right
+        if (overlap.x1 !== heapBlock.x1) {
+            this.addToHeap({
+                x0: overlap.x1,
+                y0: heapBlock.y0,
+                x1: heapBlock.x1,
+                y1: heapBlock.y1
+            });
+        }
 
-            // Left
-            if (heapBlock.x0 != overlap.x0) {
-                this.heap.push({
-                    x0: heapBlock.x0,
-                    y0: heapBlock.y0,
-                    x1: overlap.x0,
-                    y1: heapBlock.y1
-                });
-            }
+        // Bottom
+        if (heapBlock.y0 !== overlap.y0) {
+            this.addToHeap({
+                x0: heapBlock.x0,
+                y0: heapBlock.y0,
+                x1: heapBlock.x1,
+                y1: overlap.y0
+            });
+        }
 
-            this.heap[i] = null;
+        // Left
+        if (heapBlock.x0 != overlap.x0) {
+            this.addToHeap({
+                x0: heapBlock.x0,
+                y0: heapBlock.y0,
+                x1: overlap.x0,
+                y1: heapBlock.y1
+            });
         }
+
+        this.removeFromHeap(heapBlock);
     }
 
     this.unionAll();
 };
 
+Packer.prototype.save = function () {
+    //
+    // Returns the state of the bin, so that blocks can be
+    // placed on trial, then taken out again with `restore`.
+    //
+    var heap = [];
+
+    for (var i = 0; i < this.heap.length; i++) {
+        if (this.heap[i])
+            heap.push({ x0: this.heap[i].x0, y0: this.heap[i].y0, x1: this.heap[i].x1, y1: this.heap[i].y1 });
+    }
+
+    return {
+        heap: heap,
+        placedCount: this.placed.length,
+        clearances: this.clearances ? this.clearances.save() : undefined,
+    };
+};
+
+Packer.prototype.restore = function (state) {
+    //
+    // Return the bin to `state`, from `save`.
+    //
+    this.heap = [];
+    this.nextId = 0;
+    this.index = new Packer.SpatialIndex(this._root.w, this._root.h);
+
+    for (var i = 0; i < state.heap.length; i++)
+        this.addToHeap({ x0: state.heap[i].x0, y0: state.heap[i].y0, x1: state.heap[i].x1, y1: state.heap[i].y1 });
+
+    this.placed = this.placed.slice(0, state.placedCount);
+
+    if (this.clearances)
+        this.clearances.restore(state.clearances);
+};
+
 Packer.prototype.destroy = function () {
     this.heap = null;
-};
\ No newline at end of file
+    this.index = null;
+    this.placed = null;
+};
+/**
+ * SpatialIndex: a uniform grid over the bin, used by
+ * Packer to quickly find the heapBlocks that might
+ * intersect a given block, instead of checking them all.
+ * Each heapBlock is listed in every cell it touches.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Number} w - the bin width.
+ * @param {Number} h - the bin height.
+ * @param {Number} [cellCount] - the number of cells along each side (default: 16).
+ */
+Packer.SpatialIndex = function (w, h, cellCount) {
+    this.cellCount = cellCount || 16;
+    this.cellW = (w / this.cellCount) || 1;
+    this.cellH = (h / this.cellCount) || 1;
+    this.cells = [];
+    this.stamp = 0;
+
+    for (var i = 0; i < this.cellCount * this.cellCount; i++)
+        this.cells[i] = [];
+};
+
+Packer.SpatialIndex.prototype.cellRange = function (block) {
+    //
+    // Returns [cx0, cy0, cx1, cy1], the cells touched by block.
+    // Blocks that merely touch share a cell, so they are found too.
+    //
+    var last = this.cellCount - 1;
+    return [
+        Math.max(0, Math.min(last, Math.floor(block.x0 / this.cellW))),
+        Math.max(0, Math.min(last, Math.floor(block.y0 / this.cellH))),
+        Math.max(0, Math.min(last, Math.floor(block.x1 / this.cellW))),
+        Math.max(0, Math.min(last, Math.floor(block.y1 / this.cellH))),
+    ];
+};
+
+Packer.SpatialIndex.prototype.insert = function (heapBlock) {
+    var range = heapBlock.indexedCells = this.cellRange(heapBlock);
+    for (var y = range[1]; y <= range[3]; y++)
+        for (var x = range[0]; x <= range[2]; x++)
+            this.cells[y * this.cellCount + x].push(heapBlock);
+};
+
+Packer.SpatialIndex.prototype.remove = function (heapBlock) {
+    var range = heapBlock.indexedCells;
+    for (var y = range[1]; y <= range[3]; y++) {
+        for (var x = range[0]; x <= range[2]; x++) {
+            var cell = this.cells[y * this.cellCount + x];
+            for (var i = cell.length - 1; i >= 0; i--) {
+                if (cell[i] === heapBlock) {
+                    cell.splice(i, 1);
+                    break;
+                }
+            }
+        }
+    }
+};
+
+Packer.SpatialIndex.prototype.update = function (heapBlock) {
+    //
+    // Re-index heapBlock, if its size has changed cells.
+    //
+    var range = this.cellRange(heapBlock),
+        old = heapBlock.indexedCells;
+
+    if (
+        !old
+        || range[0] !== old[0]
+        || range[1] !== old[1]
+        || range[2] !== old[2]
+        || range[3] !== old[3]
+    ) {
+        if (old)
+            this.remove(heapBlock);
+        this.insert(heapBlock);
+    }
+};
+
+Packer.SpatialIndex.prototype.query = function (block) {
+    //
+    // Returns every heapBlock listed in the cells touched by block.
+    //
+    var range = this.cellRange(block),
+        stamp = ++this.stamp,
+        found = [];
+
+    for (var y = range[1]; y <= range[3]; y++) {
+        for (var x = range[0]; x <= range[2]; x++) {
+            var cell = this.cells[y * this.cellCount + x];
+            for (var i = 0; i < cell.length; i++) {
+                if (cell[i].stamp !== stamp) {
+                    cell[i].stamp = stamp;
+                    found.push(cell[i]);
+                }
+            }
+        }
+    }
+
+    return found;
+};
@@ -0,0 +1,310 @@
+/**
+ * SkylinePacker: fast 2D rectangular bin packing for large item counts.
+ *
+ * Has the same `fit(blocks, binIndex)` contract as Packer (and the
+ * same `begin`, `find` and `place`, for one block at a time, and
+ * `save` and `restore`, for placing blocks on trial). Rather
+ * than keeping a heap of free rectangles, it only tracks the
+ * "skyline": the lower edge of the packed blocks across the width
+ * of the bin, so each placement only needs to look along the
+ * skyline. It is a little less tight than Packer, because any
+ * space trapped under the skyline is never used again.
+ *
+ * Note: the y axis runs down from the top of the bin, so the
+ * skyline grows downwards.
+ *
+ * @author m1b
+ * @version 2026-10-19
+ */
+SkylinePacker = function (w, h, allow90DegreeRotation) {
+    this.allow90DegreeRotation = (allow90DegreeRotation == true);
+    this.init(w, h);
+};
+
+SkylinePacker.prototype.init = function (w, h) {
+    this._root = { x: 0, y: 0, w: w, h: h }
+};
+
+SkylinePacker.prototype.fit = function (blocks, binIndex) {
+    //
+    // Loop through all the blocks, placing each
+    // at the highest, then leftmost, spot on the skyline.
+    //
+    this.begin(binIndex);
+
+    var n,
+        block,
+        area = 0,
+        packedBlocks = [],
+        remainingBlocks = [];
+
+    for (n = 0; n < blocks.length; n++) {
+
+        block = blocks[n];
+
+        var position = this.find(block);
+
+        if (position)
+            this.place(block, position);
+
+        // was it packed?
+        if (block.packed) {
+            block.binIndex = binIndex;
+            packedBlocks.push(block);
+            area += block.w * block.h;
+        }
+
+        else {
+            remainingBlocks.push(block);
+        }
+
+    }
+
+    return {
+        count: packedBlocks.length,
+        area: area,
+        packedBlocks: packedBlocks,
+        remainingBlocks: remainingBlocks,
+    };
+};
+
+SkylinePacker.prototype.begin = function (binIndex) {
+    //
+    // Start packing the empty bin, one block at a time,
+    // with `find` and `place`.
+    //
+    this.binIndex = binIndex;
+    this.skyline = [{ x: 0, y: 0, w: this._root.w }];
+
+    if (this.clearances)
+        this.clearances.begin();
+};
+
+SkylinePacker.prototype.find = function (block, accept) {
+    //
+    // Position the block at its spot on the skyline, without
+    // placing it yet, so the block can still be tried
+    // elsewhere. Returns the position, if any.
+    // `accept`, if given, is function(rect) returning whether
+    // the block may go in `rect`, { x0, y0, x1, y1 }, the space
+    // it would take, including any space left clear before it.
+    //
+    var position = this.findPosition(block, accept);
+
+    if (!position)
+        return;
+
+    if (position.rotated)
+        block.rotate();
+
+    block.x0 = position.x;
+    block.y0 = position.y;
+    block.x1 = position.x + block.w;
+    block.y1 = position.y + block.h;
+    block.packed = true;
+
+    return position;
+};
+
+SkylinePacker.prototype.place = function (block, position) {
+    //
+    // Place the block at `position`, found by `find`,
+    // raising the skyline over any space left before it.
+    //
+    this.addLevel(position.index, {
+        x0: position.x - position.lead.x,
+        x1: block.x1,
+        y1: block.y1,
+        w: block.w + position.lead.x,
+    });
+
+    if (this.clearances)
+        this.clearances.add(block);
+};
+
+SkylinePacker.prototype.canRotate = function (block) {
+    //
+    // Whether to try the block rotated by 90°: the block's
+    // own `allowRotation`, from its item's "rotate" tag,
+    // overrides `allow90DegreeRotation`.
+    //
+    return block.w !== block.h
+        && (undefined != block.allowRotation ? block.allowRotation : this.allow90DegreeRotation);
+};
+
+SkylinePacker.prototype.findPosition = function (block, accept) {
+    //
+    // Returns the position along the skyline where the block's
+    // lower edge would be highest (ties go to the left), trying
+    // both orientations if rotation is allowed.
+    //
+    var best,
+        orientations = this.canRotate(block) ? [false, true] : [false];
+
+    for (var r = 0; r < orientations.length; r++) {
+
+        var w = orientations[r] ? block.h : block.w,
+            h = orientations[r] ? block.w : block.h;
+
+        for (var i = 0; i < this.skyline.length; i++) {
+
+            var spot = this.fitsClear(block, orientations[r], i, w, h);
+
+            if (
+                !spot
+                || (accept && !accept({ x0: this.skyline[i].x, y0: spot.y, x1: this.skyline[i].x + spot.lead.x + w, y1: spot.y + spot.lead.y + h }))
+            )
+                continue;
+
+            var x = this.skyline[i].x + spot.lead.x,
+                y = spot.y + spot.lead.y;
+
+            if (
+                undefined == best
+                || y + h < best.bottom
+                || (y + h === best.bottom && x < best.x)
+            )
+                best = { index: i, x: x, y: y, bottom: y + h, lead: spot.lead, rotated: orientations[r] };
+
+        }
+
+    }
+
+    return best;
+};
+
+SkylinePacker.prototype.fitsAt = function (index, w, h) {
+    //
+    // Returns the y position of a w x h block placed at the start
+    // of skyline segment `index`, or -1 if it doesn't fit there.
+    //
+    var x = this.skyline[index].x;
+
+    if (x + w > this._root.w)
+        return -1;
+
+    var y = 0,
+        widthLeft = w;
+
+    for (var i = index; widthLeft > 0 && i < this.skyline.length; i++) {
+
+        y = Math.max(y, this.skyline[i].y);
+
+        if (y + h > this._root.h)
+            return -1;
+
+        widthLeft -= this.skyline[i].w;
+
+    }
+
+    return y;
+};
+
+SkylinePacker.prototype.fitsClear = function (block, rotated, index, w, h) {
+    //
+    // Returns { y, lead } for a w x h block at the start of
+    // skyline segment `index`, where `lead` is the space to leave
+    // before the block to keep the `clearances` (see `Clearances`),
+    // or undefined if the block doesn't fit there. Looks further
+    // along until the skyline runs out, or a lead comes round again.
+    //
+    var lead = { x: 0, y: 0 },
+        tried = {};
+
+    while (true) {
+
+        var y = this.fitsAt(index, w + lead.x, h + lead.y);
+
+        if (-1 === y)
+            return;
+
+        if (!this.clearances)
+            return { y: y, lead: lead };
+
+        var next = this.clearances.getLead(block, rotated, this.skyline[index].x, y, w, h, this._root.w, this._root.h);
+
+        if (!next)
+            return;
+
+        if (next.x === lead.x && next.y === lead.y)
+            return { y: y, lead: lead };
+
+        // leads come from the edges of the placed blocks, so can repeat
+        if (tried[next.x + ',' + next.y])
+            return;
+
+        tried[next.x + ',' + next.y] = true;
+        lead = next;
+
+    }
+};
+
+SkylinePacker.prototype.addLevel = function (index, block) {
+    //
+    // Raise the skyline under the newly placed block.
+    //
+    this.skyline.splice(index, 0, { x: block.x0, y: block.y1, w: block.w });
+
+    // shrink or remove the segments now covered by the block
+    for (var i = index + 1; i < this.skyline.length; i++) {
+
+        var segment = this.skyline[i],
+            overlap = block.x1 - segment.x;
+
+        if (overlap <= 0)
+            break;
+
+        if (overlap < segment.w) {
+            segment.x += overlap;
+            segment.w -= overlap;
+            break;
+        }
+
+        this.skyline.splice(i--, 1);
+
+    }
+
+    // merge neighbouring segments of the same level
+    for (var i = 0; i < this.skyline.length - 1; i++) {
+
+        if (this.skyline[i].y === this.skyline[i + 1].y) {
+            this.skyline[i].w += this.skyline[i + 1].w;
+            this.skyline.splice(i + 1, 1);
+            i--;
+        }
+
+    }
+};
+
+SkylinePacker.prototype.save = function () {
+    //
+    // Returns the state of the bin, so that blocks can be
+    // placed on trial, then taken out again with `restore`.
+    //
+    var skyline = [];
+
+    for (var i = 0; i < this.skyline.length; i++)
+        skyline.push({ x: this.skyline[i].x, y: this.skyline[i].y, w: this.skyline[i].w });
+
+    return {
+        skyline: skyline,
+        clearances: this.clearances ? this.clearances.save() : undefined,
+    };
+};
+
+SkylinePacker.prototype.restore = function (state) {
+    //
+    // Return the bin to `state`, from `save`.
+    //
+    this.skyline = [];
+
+    for (var i = 0; i < state.skyline.length; i++)
+        this.skyline.push({ x: state.skyline[i].x, y: state.skyline[i].y, w: state.skyline[i].w });
+
+    if (this.clearances)
+        this.clearances.restore(state.clearances);
+};
+
+SkylinePacker.prototype.destroy = function () {
+    this.skyline = null;
+};
@@ -1,6 +1,9 @@
 var APP_IS_INDESIGN = /indesign/i.test(app.name);
 var APP_IS_ILLUSTRATOR = /illustrator/i.test(app.name);
 
+// the largest artboard or page, in points
+var MAX_BIN_SIZE = APP_IS_INDESIGN ? 15552 : 16383;
+
 
 /**
  * Creates a "packing attempt" object.
@@ -20,518 +23,5076 @@ function Attempt(index, bins) {
     this.packedBlocks = [];
     this.remainingBlocks = [];
 
+    // guillotine cuts, if using a GuillotinePacker
+    this.cuts = [];
+
 };
 
 /**
- * Blocks are used to keep track
- * of items during packing.
+ * Returns the type of packer to use.
+ * Large jobs use the skyline packer, because
+ * the normal packer slows down badly with
+ * thousands of items, unless a bin has obstacles,
+ * which the skyline packer can't work around.
+ * Shaped bins use the normal packer instead of
+ * the guillotine packer, which would cut them
+ * into slivers.
  * @author m1b
- * @version 2024-10-14
- * @param {Object} settings -
- * @param {PageItem} item - a Page Item.
+ * @version 2026-10-19
+ * @param {Object} settings - the packing settings.
+ * @param {String} [settings.packerType] - 'maxrects' or 'guillotine' (default: 'maxrects').
+ * @param {Number} [settings.skylineItemCount] - use the skyline packer from this many items (default: never).
+ * @param {Number} itemCount - the number of items to pack.
+ * @param {Array<Object>} [bins] - the bins to pack into.
+ * @returns {String} - 'maxrects', 'guillotine' or 'skyline'.
  */
-function Block(settings, item, index) {
+function getPackerType(settings, itemCount, bins) {
 
-    var bounds = APP_IS_ILLUSTRATOR
-        ? getItemBoundsIllustrator(item)
-        : getItemBoundsIndesign(item);
+    var packerType = settings.packerType || 'maxrects',
+        hasObstacles = false,
+        hasShapedBin = false;
 
-    this.item = item;
-    this.index = index;
-    this.doc = settings.doc;
-    this.padding = settings.padding;
-    this.margin = settings.margin;
-    this.isRotated = false;
+    bins = bins || [];
 
-    // binIndex will be set later by a Packer
-    this.binIndex = undefined;
+    for (var i = 0; i < bins.length; i++) {
 
-    if (APP_IS_ILLUSTRATOR) {
-        this.w = bounds[2] - bounds[0] + this.padding;
-        this.h = bounds[1] - bounds[3] + this.padding;
-        this.dx = item.left - bounds[0];
-        this.dy = item.top - bounds[1];
-    }
+        if (bins[i].obstacles && bins[i].obstacles.length > 0)
+            hasObstacles = true;
+
+        if (bins[i].path)
+            hasShapedBin = true;
 
-    else if (APP_IS_INDESIGN) {
-        this.w = bounds[3] - bounds[1] + this.padding;
-        this.h = bounds[2] - bounds[0] + this.padding;
-        this.dx = item.geometricBounds[1] - bounds[1];
-        this.dy = item.geometricBounds[0] - bounds[0];
     }
 
-    this.dimensions = {
-        w: this.w,
-        h: this.h,
-        dx: this.dx,
-        dy: this.dy,
-    };
+    if (
+        'guillotine' === packerType
+        && hasShapedBin
+    )
+        packerType = 'maxrects';
 
-    this.rotatedDimensions = {
-        w: this.h,
-        h: this.w,
-        dx: -this.dy,
-        dy: item.visibleBounds[2] - bounds[2],
-    }
+    if (
+        'maxrects' === packerType
+        && itemCount >= settings.skylineItemCount
+        && !hasObstacles
+    )
+        packerType = 'skyline';
 
-    if (true === settings.forceRotate)
-        this.rotate();
+    return packerType;
 
 };
 
-// swap block between 0 and 90 degree rotation
-Block.prototype.rotate = function () {
+/**
+ * Returns the placement rules to cycle through across attempts.
+ * Only the 'maxrects' packer has a choice of placement rules.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} packerType - 'maxrects', 'guillotine' or 'skyline'.
+ * @param {String} [placementRule] - the chosen rule (default: all of `Packer.PLACEMENT_RULES`).
+ * @param {Boolean} [isLargeJob] - whether there are too many items to try the slower rules (default: false).
+ * @returns {Array<String>}
+ */
+function getPlacementRules(packerType, placementRule, isLargeJob) {
+
+    if ('guillotine' === packerType)
+        // the guillotine packer always places by best area fit
+        return ['best-area'];
 
-    if (this.w == this.h) return;
+    if ('skyline' === packerType)
+        return ['bottom-left'];
 
-    this.isRotated = !this.isRotated;
-    this.w = this.isRotated ? this.rotatedDimensions.w : this.dimensions.w;
-    this.h = this.isRotated ? this.rotatedDimensions.h : this.dimensions.h;
-    this.dx = this.isRotated ? this.rotatedDimensions.dx : this.dimensions.dx;
-    this.dy = this.isRotated ? this.rotatedDimensions.dy : this.dimensions.dy;
+    if (placementRule)
+        return [placementRule];
+
+    if (isLargeJob)
+        // the other rules score every free rectangle
+        return ['first-fit'];
+
+    return Packer.PLACEMENT_RULES;
 
 };
 
 /**
- * Position the Block's item on an Illustrator Artboard.
- * @param {Object} settings - the packing settings.
+ * Returns a new packer for `bin`. The packer
+ * type comes from `getPackerType`, which
+ * checks that it suits the bins.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} packerType - 'maxrects', 'guillotine' or 'skyline'.
+ * @param {Object} bin - the bin to pack.
+ * @param {Boolean} [allow90DegreeRotation] - whether to allow rotation by 90° (default: false).
+ * @param {String} [placementRule] - the placement rule for a Packer (default: 'first-fit').
+ * @param {Clearances} [clearances] - the clearances to keep around items with their own padding.
+ * @returns {Packer|GuillotinePacker|SkylinePacker}
  */
-Block.prototype.positionItemOnArtboard = function (settings) {
+function makePacker(packerType, bin, allow90DegreeRotation, placementRule, clearances) {
 
-    var self = this;
+    var packer,
+        hasObstacles = bin.obstacles && bin.obstacles.length > 0;
 
-    if (!self.packed)
-        return;
+    if ('guillotine' === packerType)
+        packer = new GuillotinePacker(bin.width, bin.height, allow90DegreeRotation);
 
-    if (self.isRotated)
-        self.item.rotate(90);
+    else if ('skyline' === packerType)
+        packer = new SkylinePacker(bin.width, bin.height, allow90DegreeRotation);
 
-    var artboardRect = self.doc.artboards[self.binIndex].artboardRect,
-        l = self.x0 + artboardRect[0] + self.margin,
-        t = -(self.y0 - artboardRect[1] + self.margin),
-        r = self.x1 + artboardRect[0] + self.margin,
-        b = -(self.y1 - artboardRect[1] + self.margin);
+    else
+        // instantiate Trentium's packer
+        packer = new Packer(bin.width, bin.height, allow90DegreeRotation, placementRule);
 
-    if (settings.showBlockBounds)
-        var r = drawRectangleIllustrator(self.item.parent, [l, t, r, b]);
+    if (hasObstacles)
+        packer.addObstacles(bin.obstacles);
 
-    if (settings.showOnlyBlockBounds)
-        return;
+    if (clearances)
+        packer.clearances = clearances;
 
-    // position the item
-    self.item.left = l + self.dx;
-    self.item.top = t + self.dy;
+    return packer;
 
 };
 
 /**
- * Position the Block's item on an Indesign Page.
+ * Makes packing attempts, each packing the items into
+ * `bins` with a different sort order and placement rule,
+ * and returns the best attempt. After the preset sorts,
+ * each attempt is either a random shuffle, or an Optimizer's
+ * improvement on the attempts so far.
+ * @author m1b
+ * @version 2026-10-19
  * @param {Object} settings - the packing settings.
+ * @param {String} [settings.bestFitBy] - the name of the scoring strategy, see `SCORING_STRATEGIES` (default: 'count').
+ * @param {Object} [settings.scoringStrategies] - more scoring strategies, by name.
+ * @param {Array<Object>} [settings.binRules] - rules pinning items to bins, see `getAllowedBins`.
+ * @param {Boolean} [settings.keepGroupsAdjacent] - whether the blocks of each keep-together group must touch (default: false).
+ * @param {String} [settings.packingOrigin] - the corner to pack from, one of `PACKING_ORIGINS`, or 'all' to try each across attempts (default: 'top-left').
+ * @param {String} [settings.fillDirection] - 'rows' or 'columns' first (default: 'rows').
+ * @param {String} [settings.optimizer] - 'shuffle', 'annealing' or 'genetic' (default: 'shuffle').
+ * @param {Number} [settings.searchSeconds] - keep making attempts for this many seconds, instead of `maxAttemptCount` attempts, which can't be repeated from the seed (default: off).
+ * @param {Number} [settings.targetUtilization] - stop once every item is packed, using at least this fraction of the bins' area, from 0 to 1 (default: off).
+ * @param {String} [settings.binAssignment] - 'in-order' fills each bin in turn, 'best-fit' puts each item into the fullest bin it fits (default: 'in-order').
+ * @param {Boolean} [settings.balanceBins] - whether to spread the items evenly across the bins, by item count or area, as `bestFitBy` (default: false).
+ * @param {Array<PageItem>} items - the items to pack.
+ * @param {Array<Object>} bins - the bins to pack into.
+ * @param {Boolean} [randomAttempt] - whether to make a single, random-shuffled, attempt (default: false).
+ * @param {Number} [seed] - the seed for every random choice, so that the same seed repeats the same packing (default: a new seed).
+ * @param {Number} [searchSeconds] - the time budget for this search (default: `settings.searchSeconds`).
+ * @returns {Attempt} - with the `seed` used.
  */
-Block.prototype.positionItemOnPage = function (settings) {
+function findBestAttempt(settings, items, bins, randomAttempt, seed, searchSeconds) {
+
+    var quantities = settings.quantities || [],
+        totalItemCount = getCopyCount(items, quantities),
+        allow90DegreeRotation = true === settings.allow90DegreeRotation,
+        bestFitBy = settings.bestFitBy || 'count',
+        packerType = getPackerType(settings, totalItemCount, bins),
+        placementRules = getPlacementRules(packerType, settings.placementRule, totalItemCount >= settings.skylineItemCount),
+        searchSeconds = randomAttempt ? 0 : Number(undefined != searchSeconds ? searchSeconds : settings.searchSeconds) || 0,
+        targetUtilization = Number(settings.targetUtilization) || 0,
+        startTime = new Date().getTime(),
+        elapsedSeconds = 0,
+        maxAttemptCount = randomAttempt ? 1 : searchSeconds > 0 ? Infinity : (settings.maxAttemptCount || getMaxAttemptCount(totalItemCount, placementRules.length)),
+        preferCount = (bestFitBy == 'count'),
+        balanceBins = true === settings.balanceBins && bins.length > 1,
+        scoreAttempt = getScoringStrategy(settings),
+        pb = settings.pb,
+        totalItemArea = 0,
+        presetAttemptCount = 5 * placementRules.length,
+        seed = seed || makeSeed(),
+        random = getRandomGenerator(seed),
+        lowerBound,
+        // the bins that each item is pinned to, if any
+        allowedBins = getAllowedBins(items, bins, settings.binRules),
+        // the keep-together group of each item, if any
+        groups = getItemGroups(items),
+        // whether any item has its own padding
+        keepClear = false,
+        origins = 'all' === settings.packingOrigin ? PACKING_ORIGINS : [settings.packingOrigin || 'top-left'],
+        // a strip can only fill rows, from the top
+        fillColumns = 'columns' === settings.fillDirection && !(bins[0] && bins[0].isStrip),
+        bestPresetAttempt,
+        bestAttempt;
+
+    // passed to the scoring strategy
+    var scoringContext = {
+        bins: bins,
+        settings: settings,
+        totalItemCount: totalItemCount,
+        totalItemArea: 0,
+    };
 
-    var self = this;
+    var optimizer = (
+        !randomAttempt
+        && !settings.doNotSort
+        && ('annealing' === settings.optimizer || 'genetic' === settings.optimizer)
+    )
+        ? new Optimizer(settings.optimizer, allow90DegreeRotation, random)
+        : undefined;
 
-    if (!self.packed)
-        return;
+    attemptsLoop:
+    for (var a = 0; a < maxAttemptCount; a++) {
 
-    if (self.isRotated) {
-        self.item.transform(
-            CoordinateSpaces.pasteboardCoordinates,
-            AnchorPoint.CENTER_ANCHOR,
-            app.transformationMatrices.add({ counterclockwiseRotationAngle: 90 })
-        );
-    }
+        if (pb && !searchSeconds)
+            pb.setAttemptProgress(a + 1, maxAttemptCount);
 
-    var bin = settings.bins[self.binIndex];
-    var currentPage = bin.page;
+        var attempt = new Attempt(a, bins);
 
-    if (self.item.parentPage !== currentPage)
-        self.item.move(currentPage);
+        // cycle through the placement rules for each sort type
+        attempt.placementRule = placementRules[a % placementRules.length];
+        attempt.packerType = packerType;
 
-    // if (settings.showBlockBounds) {
-    //     var r = drawRectangle(self.item.parent, [l, t, r, b]);
-    //     if (settings.showOnlyBlockBounds)
-    //         return;
-    // }
+        if (
+            'guillotine' === settings.packerType
+            && 'guillotine' !== packerType
+        )
+            attempt.info.push('Shaped bins can\'t be guillotine cut, so this packing has no cut sequence.');
 
-    // position the item
-    var dx = bin.bounds[1] + self.x0 + self.dx - self.item.geometricBounds[1],
-        dy = bin.bounds[0] + self.y0 + self.dy - self.item.geometricBounds[0];
+        // and through the origin corners, if trying them all
+        attempt.origin = { corner: origins[a % origins.length], columns: fillColumns };
 
-    self.item.transform(
-        CoordinateSpaces.pasteboardCoordinates,
-        AnchorPoint.TOP_LEFT_ANCHOR,
-        app.transformationMatrices.add({ horizontalTranslation: dx, verticalTranslation: dy })
-    );
+        // make a fresh array of 'blocks' which will store positioning information,
+        // with a block for each copy of each item
+        for (var j = 0, block; j < items.length; j++) {
 
-};
+            block = new Block(settings, items[j], j);
+            block.allowedBins = allowedBins[j];
 
-// just for debugging
-Block.prototype.toString = function () {
+            for (var q = 0, copy; q < getQuantity(quantities, j); q++) {
 
-    if (!this.packed)
-        return '[Object Block, not packed]';
+                copy = q > 0 ? block.copy() : block;
+                copy.copyIndex = q;
 
-    return '[Object Block, bin:' + this.binIndex
-        + ', isRotated:' + this.isRotated
-        + ', x0:' + this.x0
-        + ', y0:' + this.y0
-        + ', w:' + this.w
-        + ', h:' + this.h
-        + ']';
+                // each copy of a group is a group of its own
+                if (undefined != groups[j])
+                    copy.group = groups[j] + '#' + q;
+                attempt.remainingBlocks.push(copy);
 
-};
+                if (a == 0)
+                    scoringContext.totalItemArea = totalItemArea += copy.w * copy.h;
 
-/**
- * Returns bounds of item(s) for Indesign.
- * Note: just a quick conversion of my Illustrator function,
- * so probably doesn't cover many edge cases.
- * @author m1b
- * @version 2024-09-07
- * @param {PageItem|Array<PageItem>} item - an Indesign PageItem or array of PageItems.
- * @param {Boolean} [geometric] - if false, returns visible bounds.
- * @param {Array} [bounds] - private parameter, used when recursing.
- * @returns {Array} - the calculated bounds.
- */
-function getItemBoundsIndesign(item, geometric, bounds) {
+            }
 
-    var newBounds = [],
-        boundsKey = geometric ? 'geometricBounds' : 'visibleBounds';
+        }
 
-    if (undefined == item)
-        return;
+        // the key identifies each block to the optimizer
+        for (var j = 0; j < attempt.remainingBlocks.length; j++)
+            attempt.remainingBlocks[j].key = j;
 
-    if (
-        'Group' === item.constructor.name
-        || 'Array' === item.constructor.name
-    ) {
+        if (a == 0) {
+            lowerBound = getBinLowerBound(attempt.remainingBlocks, bins, allow90DegreeRotation);
+            keepClear = hasItemPadding(attempt.remainingBlocks);
+        }
 
-        var children = 'Group' === item.constructor.name ? item.pageItems : item,
-            contentBounds = [];
+        if (
+            optimizer
+            && a >= presetAttemptCount
+        ) {
+            // improve on the attempts so far
+            var order = optimizer.next(searchSeconds ? elapsedSeconds / searchSeconds : (a - presetAttemptCount) / Math.max(1, maxAttemptCount - presetAttemptCount));
+            attempt.placementRule = order.placementRule;
+            attempt.origin.corner = order.corner;
+            attempt.remainingBlocks = arrangeBlocks(attempt.remainingBlocks, order.blocks);
+            attempt.sortType = optimizer.label;
+        }
 
-        for (var i = 0; i < children.length; i++)
-            contentBounds.push(getItemBoundsIndesign(children[i], geometric, bounds));
+        else if (!settings.doNotSort) {
+            // we use attempt.index as the `sortType`
+            // to cycle through each sorting method
+            // (once per placement rule)
+            // before resorting to random shuffle
+            sortBlocks(attempt, randomAttempt ? Infinity : Math.floor(attempt.index / placementRules.length), random);
+        }
 
-        newBounds = combineBounds(contentBounds);
+        // the order, before the packer rotates any blocks
+        attempt.order = {
+            placementRule: attempt.placementRule,
+            corner: attempt.origin.corner,
+            blocks: getBlockOrder(attempt.remainingBlocks),
+        };
 
-    }
+        // the packer always starts at its top-left
+        orientBlocks(attempt.remainingBlocks, attempt.origin);
 
-    else if (
-        'TextFrame' === item.constructor.name
-        && (
-            // frame has no fill
-            !item.fillColor.hasOwnProperty('model')
-            && (
-                // frame has no stroke
-                !item.strokeColor.hasOwnProperty('model')
-                || 0 === item.strokeWeight
-            )
+        if (
+            balanceBins
+            || ('best-fit' === settings.binAssignment && bins.length > 1)
         )
-    ) {
-
-        // get bounds of outlined text
-        var dup = item.duplicate().createOutlines()[0];
-        newBounds = dup[boundsKey];
-        dup.remove();
+            packAcrossBins(attempt);
 
-    }
+        else
+            packInOrder(attempt);
 
-    else if (item.hasOwnProperty(boundsKey)) {
+        restoreOrientation(attempt, bins);
 
-        newBounds = item[boundsKey];
+        attempt.utilization = getUtilization(attempt);
 
-    }
+        if (balanceBins) {
+            // the more even, the better, but never
+            // at the cost of a block left out
+            attempt.balance = getBalance(attempt, bins, preferCount);
+            attempt.score = -attempt.balance.unevenness * 50;
+        }
 
-    // `bounds` will exist if this is a recursive execution
-    bounds = (undefined == bounds)
-        ? bounds = newBounds
-        : bounds = combineBounds([newBounds, bounds]);
+        else {
+            attempt.score = scoreAttempt(attempt, scoringContext);
+            // an attempt with a lower binCount always wins
+            attempt.score += (bins.length - attempt.binCount) * 100;
+        }
 
-    return bounds;
+        attempt.score -= attempt.remainingBlocks.length * 100;
 
-};
+        if (optimizer)
+            optimizer.add(attempt);
 
-/**
- * Returns bounds of item(s).
- * @author m1b
- * @version 2024-03-10
- * @param {PageItem|Array<PageItem>} item - an Illustrator PageItem or array of PageItems.
- * @param {Boolean} [geometric] - if false, returns visible bounds.
- * @param {Array} [bounds] - private parameter, used when recursing.
- * @returns {Array} - the calculated bounds.
- */
-function getItemBoundsIllustrator(item, geometric, bounds) {
+        if (
+            a < presetAttemptCount
+            && (undefined == bestPresetAttempt || attempt.score > bestPresetAttempt.score)
+        )
+            bestPresetAttempt = attempt;
+
+        if (
+            undefined == bestAttempt
+            || attempt.score > bestAttempt.score
+        ) {
+            // the best attempt so far
+            bestAttempt = attempt;
+
+            if (pb) {
+                pb.setItemsPackedProgress(bestAttempt.packedBlocks.length, totalItemCount);
+                pb.setBestBinCount(bestAttempt.binCount, bestAttempt.index);
+            }
 
-    var newBounds = [],
-        boundsKey = geometric ? 'geometricBounds' : 'visibleBounds';
+        }
 
-    if (undefined == item)
-        return;
+        elapsedSeconds = (new Date().getTime() - startTime) / 1000;
 
-    if (
-        item.typename == 'GroupItem'
-        || item.constructor.name == 'Array'
-    ) {
+        if (pb && searchSeconds)
+            pb.setSearchProgress(a + 1, elapsedSeconds, searchSeconds, bestAttempt.score);
 
-        var children = item.typename == 'GroupItem' ? item.pageItems : item,
-            contentBounds = [],
-            isClippingGroup = (item.hasOwnProperty('clipped') && item.clipped == true),
-            clipBounds;
+        if (settings.doNotSort)
+            // only need one attempt if not sorting
+            break;
 
-        for (var i = 0, child; i < children.length; i++) {
+        if (
+            targetUtilization
+            && 0 === bestAttempt.remainingBlocks.length
+            && bestAttempt.utilization >= targetUtilization
+        )
+            // good enough
+            break;
+
+        if (
+            lowerBound
+            && !balanceBins
+            // other strategies may still improve using the same bins
+            && ('count' === bestFitBy || 'area' === bestFitBy)
+            && 0 === bestAttempt.remainingBlocks.length
+            && getUsedBinCount(bestAttempt) <= lowerBound.binCount
+        )
+            // can't use fewer bins than this
+            break;
 
-            child = children[i];
+        if (searchSeconds) {
 
-            if (
-                child.hasOwnProperty('clipping')
-                && true === child.clipping
-            )
-                // the clipping item
-                clipBounds = child.geometricBounds;
+            if (elapsedSeconds >= searchSeconds)
+                // out of time
+                break;
 
-            else
-                contentBounds.push(getItemBoundsIllustrator(child, geometric, bounds));
+            // otherwise keep improving until the time runs out
+            continue;
 
         }
 
-        newBounds = combineBounds(contentBounds);
+        // try a minimum of 5 times for each placement rule (once for each sort method)
+        if (
+            true !== settings.tryHarder
+            && a >= 5 * placementRules.length - 1
+            && 0 === bestAttempt.remainingBlocks.length
+        )
+            // all blocks are fitting so don't bother with more attempts
+            break;
 
-        if (isClippingGroup)
-            newBounds = intersectionOfBounds([clipBounds, newBounds]);
+    } // end attempts loop
 
-    }
+    if (
+        optimizer
+        && optimizer.stepCount > 0
+    )
+        bestAttempt.optimizerSummary = describeImprovement(optimizer.label, bestAttempt, bestPresetAttempt);
 
-    else if (
-        'TextFrame' === item.constructor.name
-        && TextType.AREATEXT !== item.kind
-    ) {
+    bestAttempt.seed = seed;
+    bestAttempt.attemptCount = a + (a < maxAttemptCount ? 1 : 0);
+    bestAttempt.searchSeconds = elapsedSeconds;
+    bestAttempt.lowerBound = lowerBound;
 
-        // get bounds of outlined text
-        var dup = item.duplicate().createOutline();
-        newBounds = dup[boundsKey];
-        dup.remove();
+    return bestAttempt;
 
-    }
+    /**
+     * Packs the attempt's blocks into each bin in turn,
+     * passing the blocks that don't fit on to the next bin.
+     * A group that doesn't fit a bin whole moves on together.
+     * @param {Attempt} attempt - the attempt to pack.
+     */
+    function packInOrder(attempt) {
 
-    else if (item.hasOwnProperty(boundsKey)) {
+        var emptyExtraBinCount = 0,
+            groupSizes = getGroupSizes(attempt.remainingBlocks),
+            hasGroups = false;
 
-        newBounds = item[boundsKey];
+        for (var group in groupSizes) {
+            if (groupSizes.hasOwnProperty(group))
+                hasGroups = true;
+        }
 
-    }
+        for (var i = 0; i < bins.length; i++) {
 
-    // `bounds` will exist if this is a recursive execution
-    bounds = (undefined == bounds)
-        ? bounds = newBounds
-        : bounds = combineBounds([newBounds, bounds]);
+            // only the blocks allowed in this bin
+            var bin = bins[i],
+                blocks = getBlocksAllowedInBin(attempt.remainingBlocks, i),
+                result;
 
-    return bounds;
+            if (hasGroups)
+                result = packUnits(attempt, i, getBlockUnits(blocks), groupSizes);
 
-};
+            else {
+                var packer = newPacker(attempt, i);
 
-/**
- * Returns the combined bounds of all bounds supplied.
- * Works with Illustrator or Indesign bounds.
- * @author m1b
- * @version 2024-03-09
- * @param {Array<bounds>} boundsArray - an array of bounds [L, T, R, B] or [T, L , B, R].
- * @returns {bounds?} - the combined bounds.
- */
-function combineBounds(boundsArray) {
+                // do the fitting
+                result = packer.fit(blocks, i);
+                packer.destroy();
+            }
 
-    var combinedBounds = boundsArray[0],
-        comparator;
+            if (
+                bin.isExtra
+                && 0 === result.count
+            ) {
 
-    if (APP_IS_INDESIGN)
-        comparator = [Math.min, Math.min, Math.max, Math.max];
+                // once a whole new artboard or page packs nothing, so will the rest
+                if (++emptyExtraBinCount >= bin.groupSize)
+                    break;
+
+                continue;
+
+            }
+
+            emptyExtraBinCount = 0;
+            attempt.remainingBlocks = removeBlocks(attempt.remainingBlocks, result.packedBlocks);
+            addBinResult(attempt, i, result);
+
+            if (0 === attempt.remainingBlocks.length)
+                break;
+
+        }
+
+    };
+
+    /**
+     * Packs the units into bin `binIndex`, in order, like a
+     * packer's `fit`, except that each group is placed whole or
+     * not at all. A group missing blocks that aren't allowed
+     * in the bin isn't placed.
+     * @param {Attempt} attempt - the attempt.
+     * @param {Number} binIndex - the index of the bin.
+     * @param {Array<Array<Block>>} units - the units, from `getBlockUnits`.
+     * @param {Object} groupSizes - the number of blocks in each group, from `getGroupSizes`.
+     * @returns {Object} - the packing result for the bin.
+     */
+    function packUnits(attempt, binIndex, units, groupSizes) {
+
+        var packer = newPacker(attempt, binIndex),
+            result = { count: 0, area: 0, packedBlocks: [] };
+
+        packer.begin(binIndex);
+
+        for (var n = 0; n < units.length; n++) {
+
+            var unit = units[n];
+
+            if (1 === unit.length) {
+
+                var placement = packer.find(unit[0]);
+
+                if (!placement)
+                    continue;
+
+                packer.place(unit[0], placement);
+
+            }
+
+            else if (
+                unit.length < groupSizes[unit[0].group]
+                || !placeGroup(packer, unit, settings.keepGroupsAdjacent)
+            )
+                continue;
+
+            for (var j = 0; j < unit.length; j++) {
+                unit[j].binIndex = binIndex;
+                result.count++;
+                result.area += unit[j].w * unit[j].h;
+                result.packedBlocks.push(unit[j]);
+            }
+
+        }
+
+        result.cuts = packer.cuts;
+        packer.destroy();
+
+        return result;
+
+    };
+
+    /**
+     * Packs the attempt's blocks one at a time, deciding the bin
+     * for each block across all the bins: each block goes into the
+     * fullest open bin that it fits (best fit), and only when it
+     * fits no open bin is it put into the first new bin it fits.
+     * When balancing, every bin is open, and each block goes into
+     * the emptiest bin that it fits, by item count or area.
+     * A group of blocks is packed the same way, all together.
+     * @param {Attempt} attempt - the attempt to pack.
+     */
+    function packAcrossBins(attempt) {
+
+        var units = getBlockUnits(attempt.remainingBlocks),
+            packers = [],
+            results = [],
+            remainingBlocks = [];
+
+        if (balanceBins) {
+            // every bin is open, except bins to be added as needed
+            for (var i = 0; i < bins.length; i++) {
+                if (!bins[i].isExtra)
+                    results[i] = newResult();
+            }
+        }
+
+        for (var n = 0; n < units.length; n++) {
+
+            var unit = units[n],
+                unitCount = unit.length,
+                unitArea = 0,
+                binIndex = -1,
+                leastLeftover = Infinity;
+
+            for (var j = 0; j < unit.length; j++)
+                unitArea += unit[j].w * unit[j].h;
+
+            // the fullest open bin that the unit fits
+            // (or the emptiest, when balancing)
+            for (var i = 0; i < results.length; i++) {
+
+                if (
+                    undefined == results[i]
+                    || !fits(unit, i)
+                )
+                    continue;
+
+                var leftover = balanceBins
+                    ? (preferCount ? results[i].count : results[i].area / (bins[i].width * bins[i].height))
+                    : bins[i].width * bins[i].height - results[i].area - unitArea;
+
+                if (leftover < leastLeftover) {
+                    leastLeftover = leftover;
+                    binIndex = i;
+                }
+
+            }
+
+            // otherwise the first new bin that the unit fits
+            for (var i = 0, emptyExtraBinCount = 0; -1 === binIndex && !balanceBins && i < bins.length; i++) {
+
+                if (undefined != results[i])
+                    continue;
+
+                if (fits(unit, i)) {
+                    binIndex = i;
+                    results[i] = newResult();
+                }
+
+                // a whole new artboard or page is as good as all the rest
+                else if (
+                    bins[i].isExtra
+                    && ++emptyExtraBinCount >= bins[i].groupSize
+                )
+                    break;
+
+            }
+
+            if (-1 === binIndex) {
+                remainingBlocks = remainingBlocks.concat(unit);
+                continue;
+            }
+
+            // place the unit
+            if (1 === unitCount)
+                packers[binIndex].place(unit[0], packers[binIndex].find(unit[0]));
+
+            else
+                placeGroup(packers[binIndex], unit, settings.keepGroupsAdjacent);
+
+            for (var j = 0; j < unitCount; j++) {
+                unit[j].binIndex = binIndex;
+                results[binIndex].count++;
+                results[binIndex].area += unit[j].w * unit[j].h;
+                results[binIndex].packedBlocks.push(unit[j]);
+            }
+
+        }
+
+        attempt.remainingBlocks = remainingBlocks;
+
+        for (var i = 0; i < packers.length; i++) {
+
+            if (undefined == packers[i])
+                continue;
+
+            if (
+                undefined != results[i]
+                && results[i].count > 0
+            ) {
+                results[i].cuts = packers[i].cuts;
+                addBinResult(attempt, i, results[i]);
+            }
+
+            packers[i].destroy();
+
+        }
+
+        /**
+         * Returns an empty result for a bin.
+         * @returns {Object}
+         */
+        function newResult() {
+            return { count: 0, area: 0, packedBlocks: [] };
+        };
+
+        /**
+         * Returns true if every block of `unit` fits in
+         * bin `binIndex`, leaving the blocks as they were.
+         * @param {Array<Block>} unit - the block, or the blocks of a group, to try.
+         * @param {Number} binIndex - the index of the bin.
+         * @returns {Boolean}
+         */
+        function fits(unit, binIndex) {
+
+            for (var i = 0; i < unit.length; i++) {
+                if (!isBinAllowed(unit[i], binIndex))
+                    return false;
+            }
+
+            if (undefined == packers[binIndex]) {
+                packers[binIndex] = newPacker(attempt, binIndex);
+                packers[binIndex].begin(binIndex);
+            }
+
+            if (unit.length > 1) {
+
+                // a group: place it on trial, then take it out again
+                var state = packers[binIndex].save(),
+                    states = getBlockStates(unit);
+
+                if (!placeGroup(packers[binIndex], unit, settings.keepGroupsAdjacent))
+                    return false;
+
+                packers[binIndex].restore(state);
+                setBlockStates(states);
+                return true;
+
+            }
+
+            var block = unit[0],
+                isRotated = block.isRotated,
+                placement = packers[binIndex].find(block);
+
+            if (block.isRotated !== isRotated)
+                block.rotate();
+
+            block.packed = false;
+
+            return !!placement;
+
+        };
+
+    };
+
+    /**
+     * Returns a new packer for bin `binIndex`, for the attempt.
+     * @param {Attempt} attempt - the attempt.
+     * @param {Number} binIndex - the index of the bin.
+     * @returns {Packer|GuillotinePacker|SkylinePacker}
+     */
+    function newPacker(attempt, binIndex) {
+
+        return makePacker(
+            packerType,
+            orientBin(bins[binIndex], attempt.origin),
+            allow90DegreeRotation,
+            attempt.placementRule,
+            keepClear ? new Clearances(attempt.origin, bins[binIndex].isStrip, settings.padding) : undefined
+        );
+
+    };
+
+    /**
+     * Adds the result of packing bin `binIndex` to the attempt.
+     * @param {Attempt} attempt - the attempt.
+     * @param {Number} binIndex - the index of the bin.
+     * @param {Object} result - the packing result for the bin.
+     */
+    function addBinResult(attempt, binIndex, result) {
+
+        var bin = bins[binIndex];
+
+        attempt.area += result.area;
+        attempt.binCount = binIndex + 1;
+        attempt.packedBlocks = attempt.packedBlocks.concat(result.packedBlocks);
+
+        if (result.cuts)
+            attempt.cuts = attempt.cuts.concat(result.cuts);
+
+        // add info for this attempt
+        attempt.info.push('Packed ' + result.count + ' items into ' + getBinLabel(bin, binIndex) + '.');
+
+    };
+
+};
+
+/**
+ * The corners that packing can start from.
+ */
+var PACKING_ORIGINS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+/**
+ * Returns `bin` as the packer sees it, when packing from `origin`:
+ * the packer always starts at its own top-left, so the bin is
+ * mirrored to put the origin corner there, and, when filling
+ * columns first, transposed. A strip is never mirrored vertically.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} bin - the bin.
+ * @param {Object} origin - { corner, columns }.
+ * @returns {Object} - the bin, or a copy in packer coordinates.
+ */
+function orientBin(bin, origin) {
+
+    if (isTopLeftRows(origin))
+        return bin;
+
+    var oriented = {};
+
+    for (var key in bin) {
+        if (bin.hasOwnProperty(key))
+            oriented[key] = bin[key];
+    }
+
+    if (origin.columns) {
+        oriented.width = bin.height;
+        oriented.height = bin.width;
+    }
+
+    if (bin.obstacles) {
+
+        oriented.obstacles = [];
+
+        for (var i = 0; i < bin.obstacles.length; i++)
+            oriented.obstacles.push(orientRect(bin.obstacles[i], bin, origin, false));
+
+    }
+
+    return oriented;
+
+};
+
+/**
+ * Returns `rect` mirrored, and transposed, between bin
+ * coordinates and the packer coordinates of `orientBin`.
+ * @param {Object} rect - { x0, y0, x1, y1 }.
+ * @param {Object} bin - the bin, in bin coordinates.
+ * @param {Object} origin - { corner, columns }.
+ * @param {Boolean} toBin - whether `rect` is in packer coordinates, going back to bin coordinates.
+ * @returns {Object} - { x0, y0, x1, y1 }.
+ */
+function orientRect(rect, bin, origin, toBin) {
+
+    var r = { x0: rect.x0, y0: rect.y0, x1: rect.x1, y1: rect.y1 };
+
+    if (toBin && origin.columns)
+        r = { x0: r.y0, y0: r.x0, x1: r.y1, y1: r.x1 };
+
+    if (/right$/.test(origin.corner))
+        r = { x0: bin.width - r.x1, y0: r.y0, x1: bin.width - r.x0, y1: r.y1 };
+
+    if (/^bottom/.test(origin.corner) && !bin.isStrip)
+        r = { x0: r.x0, y0: bin.height - r.y1, x1: r.x1, y1: bin.height - r.y0 };
+
+    if (!toBin && origin.columns)
+        r = { x0: r.y0, y0: r.x0, x1: r.y1, y1: r.x1 };
+
+    return r;
+
+};
+
+/**
+ * Readies the blocks for packing from `origin`: when filling
+ * columns first, each block is transposed, by rotating it, to
+ * match the transposed bin; `restoreOrientation` rotates it back.
+ * @param {Array<Block>} blocks - the blocks to pack.
+ * @param {Object} origin - { corner, columns }.
+ */
+function orientBlocks(blocks, origin) {
+
+    if (!origin.columns)
+        return;
+
+    for (var i = 0; i < blocks.length; i++)
+        blocks[i].rotate(true);
+
+};
+
+/**
+ * Brings the attempt's blocks and cuts back from the packer
+ * coordinates of `orientBin` into bin coordinates.
+ * @param {Attempt} attempt - the packed attempt, with its `origin`.
+ * @param {Array<Object>} bins - the bins.
+ */
+function restoreOrientation(attempt, bins) {
+
+    var origin = attempt.origin;
+
+    if (isTopLeftRows(origin))
+        return;
+
+    orientBlocks(attempt.remainingBlocks, origin);
+    orientBlocks(attempt.packedBlocks, origin);
+
+    for (var i = 0, block, r; i < attempt.packedBlocks.length; i++) {
+
+        block = attempt.packedBlocks[i];
+        r = orientRect(block, bins[block.binIndex], origin, true);
+
+        block.x0 = r.x0;
+        block.y0 = r.y0;
+        block.x1 = r.x1;
+        block.y1 = r.y1;
+
+    }
+
+    for (var i = 0, cut, r; i < attempt.cuts.length; i++) {
+
+        // a cut is a rectangle with no width or no height
+        cut = attempt.cuts[i];
+        r = 'horizontal' === cut.orientation
+            ? orientRect({ x0: cut.start, y0: cut.position, x1: cut.end, y1: cut.position }, bins[cut.binIndex], origin, true)
+            : orientRect({ x0: cut.position, y0: cut.start, x1: cut.position, y1: cut.end }, bins[cut.binIndex], origin, true);
+
+        if (r.y0 === r.y1) {
+            cut.orientation = 'horizontal';
+            cut.position = r.y0;
+            cut.start = r.x0;
+            cut.end = r.x1;
+        }
+
+        else {
+            cut.orientation = 'vertical';
+            cut.position = r.x0;
+            cut.start = r.y0;
+            cut.end = r.y1;
+        }
+
+    }
+
+};
+
+/**
+ * Returns true when `origin` is the packer's own: top-left, rows first.
+ * @param {Object} [origin] - { corner, columns }.
+ * @returns {Boolean}
+ */
+function isTopLeftRows(origin) {
+    return !origin || ('top-left' === origin.corner && !origin.columns);
+};
+
+/**
+ * Clearances keep items with their own padding (see
+ * `getItemPadding`) apart from their neighbours by the larger of
+ * the two paddings that face each other, not their sum. Every
+ * block already includes `padding` to its right and below, so
+ * any two items are at least `padding` apart; a packer with
+ * `clearances` asks, for each position it tries, how far to
+ * move the block right, or down, to keep clear of the blocks
+ * already placed. Works in packer coordinates (see `orientBin`).
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} origin - { corner, columns }.
+ * @param {Boolean} [isStrip] - whether the bin is a strip, which is never mirrored vertically.
+ * @param {Number} [padding] - the space between items (default: 0).
+ */
+function Clearances(origin, isStrip, padding) {
+
+    this.origin = origin;
+    this.isStrip = true === isStrip;
+    this.padding = padding || 0;
+    this.begin();
+
+};
+
+Clearances.prototype.begin = function () {
+    //
+    // Start again, with an empty bin.
+    //
+    this.placed = [];
+};
+
+Clearances.prototype.save = function () {
+    //
+    // Returns the state, for `restore`.
+    //
+    return this.placed.length;
+};
+
+Clearances.prototype.restore = function (state) {
+    //
+    // Forget the blocks placed since `save`.
+    //
+    this.placed = this.placed.slice(0, state);
+};
+
+Clearances.prototype.add = function (block) {
+    //
+    // Keep clear of the newly placed block.
+    //
+    this.placed.push({
+        x0: block.x0,
+        y0: block.y0,
+        x1: block.x1,
+        y1: block.y1,
+        sides: this.getSides(block, false),
+    });
+};
+
+Clearances.prototype.getLead = function (block, rotated, x, y, w, h, maxX, maxY) {
+    //
+    // Returns { x, y }, the distance to move a w x h block from
+    // x, y, either right or down, to keep clear of the placed
+    // blocks, or undefined if that takes it past maxX or maxY.
+    // `rotated` is whether the block is being tried rotated.
+    //
+    var sides = this.getSides(block, rotated);
+
+    for (var axis = 0; axis < 2; axis++) {
+
+        var d = 0,
+            need;
+
+        // each step moves past a placed block, so this ends
+        while (true) {
+
+            var dx = 0 === axis ? d : 0,
+                dy = 1 === axis ? d : 0;
+
+            if (
+                x + dx + w > maxX + 1e-9
+                || y + dy + h > maxY + 1e-9
+            )
+                break;
+
+            need = this.getOverlap({ x0: x + dx, y0: y + dy, x1: x + dx + w, y1: y + dy + h }, sides, axis);
+
+            if (0 === need)
+                return { x: dx, y: dy };
+
+            d += need;
+
+        }
+
+    }
+
+};
+
+Clearances.prototype.getOverlap = function (rect, sides, axis) {
+    //
+    // Returns how far `rect` must move along `axis`
+    // (0 is x, 1 is y) to clear the placed blocks.
+    //
+    var need = 0;
+
+    for (var i = 0, r; i < this.placed.length; i++) {
+
+        r = expandRect(this.placed[i], this.placed[i].sides, sides, this.padding);
+
+        if (
+            Math.min(rect.x1, r.x1) - Math.max(rect.x0, r.x0) > 1e-6
+            && Math.min(rect.y1, r.y1) - Math.max(rect.y0, r.y0) > 1e-6
+        )
+            need = Math.max(need, 0 === axis ? r.x1 - rect.x0 : r.y1 - rect.y0);
+
+    }
+
+    return need;
+};
+
+Clearances.prototype.getSides = function (block, rotated) {
+    //
+    // Returns the block's padding { top, right, bottom, left },
+    // each at least `padding`, in packer coordinates.
+    //
+    var own = block.itemPadding || {},
+        s = {};
+
+    for (var i = 0; i < PADDING_SIDES.length; i++)
+        s[PADDING_SIDES[i]] = Math.max(this.padding, own[PADDING_SIDES[i]] || 0);
+
+    // the item is rotated, unless the block is
+    // only transposed for filling columns first
+    if (
+        block.w !== block.h
+        && ((block.isRotated !== rotated) !== (true === this.origin.columns))
+    )
+        s = rotateSides(s);
+
+    // as `orientRect`
+    if (/right$/.test(this.origin.corner))
+        s = { top: s.top, right: s.left, bottom: s.bottom, left: s.right };
+
+    if (/^bottom/.test(this.origin.corner) && !this.isStrip)
+        s = { top: s.bottom, right: s.right, bottom: s.top, left: s.left };
+
+    if (this.origin.columns)
+        s = { top: s.left, right: s.bottom, bottom: s.right, left: s.top };
+
+    return s;
+};
+
+/**
+ * Returns `sides` as they are after rotating
+ * their item by 90° counterclockwise.
+ * @param {Object} sides - { top, right, bottom, left }.
+ * @returns {Object} - { top, right, bottom, left }.
+ */
+function rotateSides(sides) {
+    return { top: sides.right, right: sides.bottom, bottom: sides.left, left: sides.top };
+};
+
+/**
+ * Returns the area that a block, with padding `sides`, must not
+ * overlap, to keep clear of the block `rect`, with padding
+ * `rectSides`: `rect` grown on each side by the larger of the two
+ * facing paddings, less the `padding` that the blocks already include.
+ * @param {Object} rect - { x0, y0, x1, y1 }.
+ * @param {Object} rectSides - the padding of `rect`, { top, right, bottom, left }.
+ * @param {Object} sides - the padding of the other block, { top, right, bottom, left }.
+ * @param {Number} padding - the space between items, included in every block.
+ * @returns {Object} - { x0, y0, x1, y1 }.
+ */
+function expandRect(rect, rectSides, sides, padding) {
+
+    return {
+        x0: rect.x0 - Math.max(rectSides.left, sides.right) + padding,
+        y0: rect.y0 - Math.max(rectSides.top, sides.bottom) + padding,
+        x1: rect.x1 + Math.max(rectSides.right, sides.left) - padding,
+        y1: rect.y1 + Math.max(rectSides.bottom, sides.top) - padding,
+    };
+
+};
+
+/**
+ * The scoring strategies, by name, for `settings.bestFitBy`.
+ * Each is function(attempt, context), returning the attempt's score,
+ * where higher is better, and `context` is { bins, settings,
+ * totalItemCount, totalItemArea }. Whatever the strategy, each
+ * unused bin adds 100 to the score, and each remaining block takes
+ * away 100, so the new strategies score from 0 to 10.
+ * Script users can add their own with `settings.scoringStrategies`,
+ * eg. { 'my-strategy': function (attempt, context) { ... } }.
+ */
+var SCORING_STRATEGIES = {
+
+    // prefer item count, then how full each bin is
+    'count': function (attempt, context) {
+        return scoreByBin(attempt, context, true);
+    },
+
+    // prefer area packed, then how full each bin is
+    'area': function (attempt, context) {
+        return scoreByBin(attempt, context, false);
+    },
+
+    // least waste: the most of the used bins' area packed
+    'waste': function (attempt, context) {
+        return 10 * attempt.utilization;
+    },
+
+    // the smallest bounding box of the packed blocks in each bin
+    'bounding-box': function (attempt, context) {
+
+        var results = getBinResults(attempt),
+            score = 0,
+            binCount = 0;
+
+        for (var i = 0; i < results.length; i++) {
+
+            if (!results[i])
+                continue;
+
+            var bin = context.bins[i],
+                bounds = getBlocksBounds(results[i].packedBlocks);
+
+            score += 1 - (bounds.x1 - bounds.x0) * (bounds.y1 - bounds.y0) / (bin.width * bin.height);
+            binCount++;
+
+        }
+
+        return binCount ? 10 * score / binCount : 0;
+
+    },
+
+    // the fewest rotated items
+    'rotations': function (attempt, context) {
+
+        var rotatedCount = 0;
+
+        for (var i = 0; i < attempt.packedBlocks.length; i++) {
+            if (attempt.packedBlocks[i].isRotated)
+                rotatedCount++;
+        }
+
+        return attempt.packedBlocks.length ? 10 * (1 - rotatedCount / attempt.packedBlocks.length) : 0;
+
+    },
+
+    // the largest free rectangle left in each bin, for re-using offcuts
+    'largest-offcut': function (attempt, context) {
+
+        var results = getBinResults(attempt),
+            score = 0,
+            binCount = 0;
+
+        for (var i = 0; i < results.length; i++) {
+
+            if (!results[i])
+                continue;
+
+            var bin = context.bins[i];
+
+            score += getLargestFreeArea(bin, results[i].packedBlocks) / (bin.width * bin.height);
+            binCount++;
+
+        }
+
+        return binCount ? 10 * score / binCount : 0;
+
+    },
+
+};
+
+/**
+ * Returns the scoring strategy named by `settings.bestFitBy`,
+ * from `settings.scoringStrategies` or `SCORING_STRATEGIES`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} settings - the packing settings.
+ * @returns {Function} - function(attempt, context) returning a score.
+ */
+function getScoringStrategy(settings) {
+
+    var name = settings.bestFitBy || 'count';
+
+    if (
+        settings.scoringStrategies
+        && 'function' === typeof settings.scoringStrategies[name]
+    )
+        return settings.scoringStrategies[name];
+
+    if (SCORING_STRATEGIES.hasOwnProperty(name))
+        return SCORING_STRATEGIES[name];
+
+    throw Error('getScoringStrategy: unknown scoring strategy "' + name + '".');
+
+};
+
+/**
+ * Returns the original score: for each bin, the bin's area over the
+ * area packed into it, weighted by the item count or area packed.
+ * A strip scores by how short it is.
+ * @param {Attempt} attempt - the packing attempt.
+ * @param {Object} context - the scoring context.
+ * @param {Boolean} preferCount - whether to weight by item count, rather than area.
+ * @returns {Number}
+ */
+function scoreByBin(attempt, context, preferCount) {
+
+    var results = getBinResults(attempt),
+        score = 0;
+
+    for (var i = 0; i < results.length; i++) {
+
+        var bin = context.bins[i],
+            result = results[i];
+
+        if (!result)
+            continue;
+
+        var scoreFactor = preferCount
+            ? context.totalItemCount / result.count
+            : context.totalItemArea / result.area;
+
+        if (bin.isStrip)
+            // the shorter the strip, the better
+            score += result.area / (bin.width * (getPackedHeight(result.packedBlocks) || 1));
+
+        else
+            score += ((bin.width * bin.height) / result.area) * scoreFactor;
+
+    }
+
+    return score;
+
+};
+
+/**
+ * Takes the blocks packed into bin `binCount` and later back out
+ * of the attempt, as remaining blocks, for when those bins can't
+ * be made. Each of those blocks is marked `binDropped`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @param {Number} binCount - the number of bins to keep.
+ * @returns {Number} - the number of blocks taken out.
+ */
+function dropBins(attempt, binCount) {
+
+    var packedBlocks = [],
+        cuts = [],
+        info = [],
+        droppedCount = 0;
+
+    for (var i = 0, block; i < attempt.packedBlocks.length; i++) {
+
+        block = attempt.packedBlocks[i];
+
+        if (block.binIndex < binCount) {
+            packedBlocks.push(block);
+            continue;
+        }
+
+        block.packed = false;
+        block.binIndex = undefined;
+        block.binDropped = true;
+        attempt.area -= block.w * block.h;
+        attempt.remainingBlocks.push(block);
+        droppedCount++;
+
+    }
+
+    for (var i = 0; i < attempt.cuts.length; i++) {
+        if (attempt.cuts[i].binIndex < binCount)
+            cuts.push(attempt.cuts[i]);
+    }
+
+    // forget what was packed into the dropped bins
+    for (var i = 0; i < attempt.info.length; i++) {
+
+        var isDropped = false;
+
+        for (var j = binCount, ending; j < attempt.binCount; j++) {
+
+            ending = ' into ' + getBinLabel(attempt.bins[j], j) + '.';
+
+            if (ending === attempt.info[i].slice(-ending.length))
+                isDropped = true;
+
+        }
+
+        if (!isDropped)
+            info.push(attempt.info[i]);
+
+    }
+
+    attempt.packedBlocks = packedBlocks;
+    attempt.cuts = cuts;
+    attempt.info = info;
+    attempt.binCount = Math.min(attempt.binCount, binCount);
+    attempt.utilization = getUtilization(attempt);
+
+    return droppedCount;
+
+};
+
+/**
+ * Returns the attempt's packed blocks grouped by bin.
+ * @param {Attempt} attempt - the packing attempt.
+ * @returns {Array<Object>} - { count, area, packedBlocks } for each bin index that has packed blocks.
+ */
+function getBinResults(attempt) {
+
+    var results = [];
+
+    for (var i = 0, block; i < attempt.packedBlocks.length; i++) {
+
+        block = attempt.packedBlocks[i];
+
+        if (!results[block.binIndex])
+            results[block.binIndex] = { count: 0, area: 0, packedBlocks: [] };
+
+        results[block.binIndex].count++;
+        results[block.binIndex].area += block.w * block.h;
+        results[block.binIndex].packedBlocks.push(block);
+
+    }
+
+    return results;
+
+};
+
+/**
+ * Returns the bounds of `blocks`.
+ * @param {Array<Block>} blocks - the packed blocks.
+ * @returns {Object} - { x0, y0, x1, y1 }.
+ */
+function getBlocksBounds(blocks) {
+
+    var bounds = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+
+    for (var i = 0; i < blocks.length; i++) {
+        bounds.x0 = Math.min(bounds.x0, blocks[i].x0);
+        bounds.y0 = Math.min(bounds.y0, blocks[i].y0);
+        bounds.x1 = Math.max(bounds.x1, blocks[i].x1);
+        bounds.y1 = Math.max(bounds.y1, blocks[i].y1);
+    }
+
+    return bounds;
+
+};
+
+/**
+ * Returns the area of the largest free rectangle left in
+ * `bin`, around its obstacles and the packed `blocks`.
+ * @param {Object} bin - the bin.
+ * @param {Array<Block>} blocks - the blocks packed in the bin.
+ * @returns {Number}
+ */
+function getLargestFreeArea(bin, blocks) {
+
+    // a Packer's heap is made of the largest free rectangles
+    var packer = new Packer(bin.width, bin.height),
+        largestArea = 0;
+
+    if (bin.obstacles)
+        packer.addObstacles(bin.obstacles);
+
+    packer.begin();
+
+    for (var i = 0; i < blocks.length; i++)
+        packer.adjustHeap(blocks[i]);
+
+    for (var i = 0, f; i < packer.heap.length; i++) {
+        f = packer.heap[i];
+        largestArea = Math.max(largestArea, (f.x1 - f.x0) * (f.y1 - f.y0));
+    }
+
+    packer.destroy();
+
+    return largestArea;
+
+};
+
+/**
+ * Returns how evenly the attempt's blocks are spread across the
+ * bins (not counting bins added as needed), by item count, or by
+ * how full each bin is. The spread is the coefficient of variation:
+ * the standard deviation divided by the mean, so 0 is perfectly even.
+ * With n bins it can reach sqrt(n - 1), when one bin holds everything,
+ * so `unevenness` is the spread divided by that, from 0 to 1.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @param {Array<Object>} bins - the bins.
+ * @param {Boolean} [byCount] - whether to balance item count, rather than area (default: false).
+ * @returns {Object} - { byCount, min, max, spread, unevenness }.
+ */
+function getBalance(attempt, bins, byCount) {
+
+    var measures = [],
+        mean = 0,
+        variance = 0;
+
+    for (var i = 0; i < bins.length; i++) {
+        if (!bins[i].isExtra)
+            measures[i] = 0;
+    }
+
+    for (var i = 0, block; i < attempt.packedBlocks.length; i++) {
+        block = attempt.packedBlocks[i];
+        measures[block.binIndex] += byCount ? 1 : block.w * block.h / (bins[block.binIndex].width * bins[block.binIndex].height);
+    }
+
+    var min = Infinity,
+        max = -Infinity;
+
+    for (var i = 0; i < measures.length; i++) {
+        mean += measures[i] / measures.length;
+        min = Math.min(min, measures[i]);
+        max = Math.max(max, measures[i]);
+    }
+
+    for (var i = 0; i < measures.length; i++)
+        variance += Math.pow(measures[i] - mean, 2) / measures.length;
+
+    var spread = mean > 0 ? Math.sqrt(variance) / mean : 0;
+
+    return {
+        byCount: true === byCount,
+        min: min,
+        max: max,
+        spread: spread,
+        unevenness: measures.length > 1 ? spread / Math.sqrt(measures.length - 1) : 0,
+    };
+
+};
+
+/**
+ * Returns a description of how evenly the bins were filled.
+ * @param {Object} balance - the balance, from `getBalance`.
+ * @returns {String} - eg. 'Bins hold 11 to 13 items each (spread 6%).'
+ */
+function describeBalance(balance) {
+
+    var range = balance.byCount
+        ? 'Bins hold ' + balance.min + ' to ' + balance.max + ' items each'
+        : 'Bins are ' + Math.round(balance.min * 100) + '% to ' + Math.round(balance.max * 100) + '% full';
+
+    return range + ' (spread ' + Math.round(balance.spread * 100) + '%).';
+
+};
+
+/**
+ * Returns lower bounds on the number of bins needed to pack
+ * `blocks`, ignoring any blocks that fit in none of the bins:
+ * L1 is the fewest bins whose area could hold the blocks' area,
+ * and L2 is the count of large blocks, each more than half a bin's
+ * width and height, no two of which can ever share a bin.
+ * There is no bound when packing into a strip.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<Block>} blocks - the blocks to pack.
+ * @param {Array<Object>} bins - the bins.
+ * @param {Boolean} [allow90DegreeRotation] - whether blocks may be rotated (default: false).
+ * @returns {Object?} - { L1, L2, binCount }, where `binCount` is the greater of the two.
+ */
+function getBinLowerBound(blocks, bins, allow90DegreeRotation) {
+
+    var binAreas = [],
+        totalArea = 0,
+        largeCount = 0;
+
+    for (var i = 0; i < bins.length; i++) {
+
+        if (bins[i].isStrip)
+            return;
+
+        binAreas.push(bins[i].width * bins[i].height);
+
+    }
+
+    blocksLoop:
+    for (var i = 0, block, fitsSomewhere; i < blocks.length; i++) {
+
+        block = blocks[i];
+        fitsSomewhere = false;
+
+        for (var j = 0; j < bins.length; j++) {
+
+            var orientations = canRotateBlock(block, allow90DegreeRotation) ? [[block.w, block.h], [block.h, block.w]] : [[block.w, block.h]];
+
+            for (var k = 0, w, h; k < orientations.length; k++) {
+
+                w = orientations[k][0];
+                h = orientations[k][1];
+
+                if (w > bins[j].width || h > bins[j].height)
+                    continue;
+
+                fitsSomewhere = true;
+
+                if (w <= bins[j].width / 2 || h <= bins[j].height / 2) {
+                    // not large, for this bin at least
+                    totalArea += block.w * block.h;
+                    continue blocksLoop;
+                }
+
+            }
+
+        }
+
+        if (fitsSomewhere) {
+            totalArea += block.w * block.h;
+            largeCount++;
+        }
+
+    }
+
+    // the biggest bins first
+    binAreas.sort(function (a, b) { return b - a });
+
+    var areaBound = 0;
+
+    for (var area = 0; area < totalArea && areaBound < binAreas.length; areaBound++)
+        area += binAreas[areaBound];
+
+    return {
+        L1: areaBound,
+        L2: largeCount,
+        binCount: Math.max(areaBound, largeCount),
+    };
+
+};
+
+/**
+ * Returns the number of bins that have blocks packed in them.
+ * @param {Attempt} attempt - the packing attempt.
+ * @returns {Number}
+ */
+function getUsedBinCount(attempt) {
+
+    var results = getBinResults(attempt),
+        count = 0;
+
+    for (var i = 0; i < results.length; i++) {
+        if (results[i])
+            count++;
+    }
+
+    return count;
+
+};
+
+/**
+ * Returns a description of how close the attempt's bin count is to the lower bound.
+ * @param {Attempt} attempt - the packing attempt, with its `lowerBound`.
+ * @param {String} [binName] - the name of a bin (default: 'bin').
+ * @returns {String} - eg. '3 bins used, lower bound 3: optimal.'
+ */
+function describeLowerBound(attempt, binName) {
+
+    var usedCount = getUsedBinCount(attempt),
+        gap = usedCount - attempt.lowerBound.binCount,
+        line = usedCount + ' ' + (binName || 'bin') + (1 === usedCount ? '' : 's') + ' used, lower bound ' + attempt.lowerBound.binCount;
+
+    if (attempt.remainingBlocks.length > 0)
+        // not comparable
+        return line + '.';
+
+    return line + (gap > 0 ? ': within ' + gap + ' of optimal.' : ': optimal.');
+
+};
+
+/**
+ * Returns the fraction of the used bins' area that is packed.
+ * A strip only counts as long as its packed blocks.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @returns {Number} - from 0 to 1.
+ */
+function getUtilization(attempt) {
+
+    var binArea = 0;
+
+    for (var i = 0, bin; i < attempt.binCount; i++) {
+        bin = attempt.bins[i];
+        binArea += bin.width * (bin.isStrip ? getPackedHeight(attempt.packedBlocks) : bin.height);
+    }
+
+    return binArea > 0 ? attempt.area / binArea : 0;
+
+};
+
+/**
+ * Returns estimate for maximum attempts count.
+ * @param {Number} itemCount - number of items to bec packed.
+ * @param {Number} [placementRuleCount] - the number of placement rules being cycled through (default: 1).
+ * @returns {Number}
+ */
+function getMaxAttemptCount(itemCount, placementRuleCount) {
+    return Math.min(200, 5 * (placementRuleCount || 1) - 1 + Math.floor(Math.log(itemCount) / Math.log(2) * 5));
+}
+
+function sortBlocksByInterleaving(blocks) {
+
+    // sort blocks by area in descending order
+    blocks.sort(function (a, b) {
+        var areaA = a.w * a.h;
+        var areaB = b.w * b.h;
+        return areaB - areaA;
+    });
+
+    // divide blocks into two groups (larger and smaller areas)
+    var half = Math.ceil(blocks.length / 2);
+    var largerBlocks = blocks.slice(0, half);
+    var smallerBlocks = blocks.slice(half);
+
+    // interleave blocks from both halves
+    var interleavedBlocks = [];
+    var i = 0, j = 0;
+
+    while (i < largerBlocks.length || j < smallerBlocks.length) {
+
+        if (i < largerBlocks.length)
+            interleavedBlocks.push(largerBlocks[i++]);
+
+        if (j < smallerBlocks.length)
+            interleavedBlocks.push(smallerBlocks[j++]);
+
+    }
+
+    return interleavedBlocks;
+
+};
+
+/**
+ * Sorts an `attempt`'s blocks.
+ * @author m1b
+ * @version 2024-10-13
+ * @param {Attempt} attempt - the attempt to sort.
+ * @param {Number} [sortType] - index of sorting method (default: random shuffle).
+ * @param {Function} [random] - returns a random number from 0 to 1 (default: Math.random).
+ */
+function sortBlocks(attempt, sortType, random) {
+
+    if (undefined == sortType)
+        sortType = attempt.index;
+
+    switch (sortType) {
+
+        case undefined:
+            attempt.sortType = 'no sorting';
+            break;
+
+        case 0:
+            attempt.remainingBlocks.sort(function byArea(a, b) { return (b.w * b.h) - (a.w * a.h) });
+            attempt.sortType = 'area';
+            break;
+
+        case 1:
+            attempt.remainingBlocks.sort(function byLargestDimension(a, b) { return Math.max(b.w, b.h) - Math.max(a.w, a.h) });
+            attempt.sortType = 'largest dimension'
+            break;
+
+        case 2:
+            attempt.remainingBlocks.sort(function byWidth(a, b) { return b.w - a.w });
+            attempt.sortType = 'width'
+            break;
+
+        case 3:
+            attempt.remainingBlocks.sort(function byHeight(a, b) { return b.h - a.h });
+            attempt.sortType = 'height'
+            break;
+
+        case 4:
+            // interleave large and small items
+            attempt.remainingBlocks = sortBlocksByInterleaving(attempt.remainingBlocks);
+            attempt.sortType = 'interleaving'
+            break;
+
+        default:
+            // random sort
+            shuffle(attempt.remainingBlocks, random);
+            attempt.sortType = 'random shuffle'
+            break;
+    }
+
+};
+
+/**
+ * Optimizer: improves on the packing attempts so far by searching
+ * over block order and rotation, instead of starting afresh with
+ * a random shuffle for every attempt.
+ *
+ * Method 'annealing' (simulated annealing) mutates the current
+ * order, always accepting a better order, and accepting a worse
+ * order with a probability that falls as the search cools, so
+ * that it doesn't get stuck early on.
+ *
+ * Method 'genetic' keeps a small population of the best orders
+ * so far, and breeds each new order from two of them, by
+ * crossover and mutation.
+ *
+ * An "order" is { placementRule, corner, blocks }, where blocks is
+ * an Array of { key, isRotated }; see `getBlockOrder`.
+ *
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} method - 'annealing' or 'genetic'.
+ * @param {Boolean} [allowRotation] - whether mutations may rotate blocks (default: false).
+ * @param {Function} [random] - returns a random number from 0 to 1 (default: Math.random).
+ */
+function Optimizer(method, allowRotation, random) {
+
+    this.method = method;
+    this.random = random || Math.random;
+    this.label = 'genetic' === method ? 'genetic algorithm' : 'simulated annealing';
+    this.allowRotation = true === allowRotation;
+    this.populationSize = 8;
+    this.stepCount = 0;
+
+    // every attempt so far, best first (genetic)
+    this.population = [];
+
+    // the accepted attempt (annealing)
+    this.current = undefined;
+
+};
+
+/**
+ * Adds an evaluated attempt to the search.
+ * @param {Attempt} attempt - the attempt, with its `order` and `score`.
+ */
+Optimizer.prototype.add = function (attempt) {
+
+    var candidate = { order: attempt.order, score: attempt.score };
+
+    // genetic: keep the best orders
+    this.population.push(candidate);
+    this.population.sort(function (a, b) { return b.score - a.score });
+
+    if (this.population.length > this.populationSize)
+        this.population.length = this.populationSize;
+
+    // annealing: accept a better order, or sometimes a worse one
+    if (
+        undefined == this.current
+        || candidate.score >= this.current.score
+        || (
+            this.stepCount > 0
+            && this.random() < Math.exp((candidate.score - this.current.score) / this.temperature)
+        )
+    )
+        this.current = candidate;
+
+};
+
+/**
+ * Returns the next order to try.
+ * @param {Number} progress - how far through the search, from 0 to 1.
+ * @returns {Object} - an order { placementRule, corner, blocks }.
+ */
+Optimizer.prototype.next = function (progress) {
+
+    if (0 === this.stepCount) {
+
+        // start warm enough to sometimes give up a packed item
+        var scores = this.population;
+        this.startTemperature = Math.max(1, (scores[0].score - scores[scores.length - 1].score) / 10);
+
+    }
+
+    this.stepCount++;
+
+    // cool to a hundredth of the starting temperature
+    this.temperature = this.startTemperature * Math.pow(0.01, Math.min(1, progress));
+
+    if ('annealing' === this.method)
+        // bigger changes early on, then smaller
+        return this.mutate(this.current.order, 1 + Math.floor(4 * (1 - progress) * this.random()));
+
+    // genetic: breed from two of the best orders
+    var parentA = this.select(),
+        parentB = this.select(),
+        child = this.crossover(parentA.order, parentB.order);
+
+    return this.random() < 0.5 ? this.mutate(child) : child;
+
+};
+
+/**
+ * Returns an order from the population, by tournament.
+ * @returns {Object} - { order, score }.
+ */
+Optimizer.prototype.select = function () {
+
+    var a = this.population[Math.floor(this.random() * this.population.length)],
+        b = this.population[Math.floor(this.random() * this.population.length)];
+
+    return a.score >= b.score ? a : b;
+
+};
+
+/**
+ * Returns a child of two orders, by order crossover: a run of
+ * blocks from `orderA`, in place, with the other blocks filling
+ * the gaps in the same sequence as they come in `orderB`.
+ * @param {Object} orderA - the first parent order.
+ * @param {Object} orderB - the second parent order.
+ * @returns {Object} - the child order.
+ */
+Optimizer.prototype.crossover = function (orderA, orderB) {
+
+    var n = orderA.blocks.length;
+
+    if (n < 2)
+        return this.mutate(orderA);
+
+    var start = Math.floor(this.random() * n),
+        end = start + Math.floor(this.random() * (n - start)),
+        blocks = [],
+        isTaken = {};
+
+    for (var i = start; i <= end; i++)
+        isTaken[orderA.blocks[i].key] = true;
+
+    for (var i = 0, j = 0; i < n; i++) {
+
+        if (i >= start && i <= end) {
+            blocks.push(copyBlockOrder(orderA.blocks[i]));
+            continue;
+        }
+
+        while (isTaken[orderB.blocks[j].key])
+            j++;
+
+        blocks.push(copyBlockOrder(orderB.blocks[j++]));
+
+    }
+
+    return { placementRule: orderA.placementRule, corner: orderA.corner, blocks: blocks };
+
+};
+
+/**
+ * Returns a mutated copy of an order. Each mutation either
+ * swaps two blocks, moves one block, reverses a run of
+ * blocks or (if rotation is allowed) rotates one block.
+ * @param {Object} order - the order to mutate.
+ * @param {Number} [mutationCount] - the number of mutations (default: 1).
+ * @returns {Object} - the mutated order.
+ */
+Optimizer.prototype.mutate = function (order, mutationCount) {
+
+    var blocks = [],
+        n = order.blocks.length;
+
+    for (var i = 0; i < n; i++)
+        blocks.push(copyBlockOrder(order.blocks[i]));
+
+    if (n < 2)
+        return { placementRule: order.placementRule, corner: order.corner, blocks: blocks };
+
+    for (var m = 0; m < (mutationCount || 1); m++)
+        blocks = this.mutateOnce(blocks);
+
+    return { placementRule: order.placementRule, corner: order.corner, blocks: blocks };
+
+};
+
+/**
+ * Applies one mutation to `blocks`.
+ * @param {Array<Object>} blocks - [{ key, isRotated }], at least two.
+ * @returns {Array<Object>}
+ */
+Optimizer.prototype.mutateOnce = function (blocks) {
+
+    var n = blocks.length,
+        i = Math.floor(this.random() * n),
+        j = Math.floor(this.random() * n),
+        temp;
+
+    switch (Math.floor(this.random() * (this.allowRotation ? 4 : 3))) {
+
+        case 0:
+            // swap
+            temp = blocks[i];
+            blocks[i] = blocks[j];
+            blocks[j] = temp;
+            break;
+
+        case 1:
+            // move
+            blocks.splice(j, 0, blocks.splice(i, 1)[0]);
+            break;
+
+        case 2:
+            // reverse
+            blocks = blocks.slice(0, Math.min(i, j))
+                .concat(blocks.slice(Math.min(i, j), Math.max(i, j) + 1).reverse())
+                .concat(blocks.slice(Math.max(i, j) + 1));
+            break;
+
+        case 3:
+            // rotate
+            blocks[i].isRotated = !blocks[i].isRotated;
+            break;
+
+    }
+
+    return blocks;
+
+};
+
+/**
+ * Returns the order of `blocks`, for an Optimizer.
+ * @param {Array<Block>} blocks - the blocks, in packing order.
+ * @returns {Array<Object>} - [{ key, isRotated }].
+ */
+function getBlockOrder(blocks) {
+
+    var order = [];
+
+    for (var i = 0; i < blocks.length; i++)
+        order.push({ key: blocks[i].key, isRotated: blocks[i].isRotated });
+
+    return order;
+
+};
+
+/**
+ * Returns a copy of one block's entry in an order.
+ * @param {Object} blockOrder - { key, isRotated }.
+ * @returns {Object}
+ */
+function copyBlockOrder(blockOrder) {
+    return { key: blockOrder.key, isRotated: blockOrder.isRotated };
+};
+
+/**
+ * Returns `blocks` arranged in `order`, and
+ * rotated as each block's entry says.
+ * @param {Array<Block>} blocks - the blocks, indexed by key.
+ * @param {Array<Object>} order - [{ key, isRotated }].
+ * @returns {Array<Block>}
+ */
+function arrangeBlocks(blocks, order) {
+
+    var arranged = [];
+
+    for (var i = 0, block; i < order.length; i++) {
+
+        block = blocks[order[i].key];
+
+        if (block.isRotated !== order[i].isRotated)
+            block.rotate();
+
+        arranged.push(block);
+
+    }
+
+    return arranged;
+
+};
+
+/**
+ * Returns a description of how much an optimizer
+ * improved on the best preset sort.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {String} label - the optimizer's name.
+ * @param {Attempt} bestAttempt - the best attempt.
+ * @param {Attempt} bestPresetAttempt - the best attempt using a preset sort.
+ * @returns {String}
+ */
+function describeImprovement(label, bestAttempt, bestPresetAttempt) {
+
+    var improvement = bestAttempt.score - bestPresetAttempt.score;
+
+    if (improvement <= 0)
+        return 'The ' + label + ' did not improve on the best preset sort (' + bestPresetAttempt.sortType + ', attempt ' + bestPresetAttempt.index + ').';
+
+    var line = 'The ' + label + ' improved the score by ' + (Math.round(improvement * 100) / 100) + ' over the best preset sort (' + bestPresetAttempt.sortType + ', attempt ' + bestPresetAttempt.index + ')';
+
+    if (bestAttempt.packedBlocks.length > bestPresetAttempt.packedBlocks.length)
+        line += ', packing ' + (bestAttempt.packedBlocks.length - bestPresetAttempt.packedBlocks.length) + ' more items';
+
+    else if (bestAttempt.binCount < bestPresetAttempt.binCount)
+        line += ', using ' + (bestPresetAttempt.binCount - bestAttempt.binCount) + ' fewer bins';
+
+    return line + '.';
+
+};
+
+/**
+ * Returns a description of a bin, for the results.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} bin - the bin.
+ * @param {Number} binIndex - the index of the bin.
+ * @returns {String} - eg. 'artboard 2' or 'bin 3 (page 2)'.
+ */
+function getBinLabel(bin, binIndex) {
+
+    if (APP_IS_INDESIGN)
+        return 'bin ' + (binIndex + 1) + ' (' + (bin.page ? 'page ' + bin.page.name : 'new page') + ')';
+
+    return (bin.path ? 'shape ' : 'artboard ') + (binIndex + 1);
+
+};
+
+/**
+ * Returns the tags of `item`: words like "key:value" or
+ * "key=value" in its name and in its note (Illustrator) or
+ * script label (Indesign). Keys are lower case.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {PageItem} item - an Illustrator or Indesign PageItem.
+ * @returns {Object} - eg. { qty: '40' }
+ */
+function getItemTags(item) {
+
+    var tags = {},
+        text = [item.name || ''];
+
+    if (APP_IS_ILLUSTRATOR)
+        text.push(item.note || '');
+
+    else if (APP_IS_INDESIGN)
+        text.push(item.label || '');
+
+    var matches = text.join(' ').match(/[\w-]+\s*[:=]\s*[^\s,;]+/g) || [];
+
+    for (var i = 0, parts; i < matches.length; i++) {
+        parts = matches[i].split(/\s*[:=]\s*/);
+        tags[parts[0].toLowerCase()] = parts[1];
+    }
+
+    return tags;
+
+};
+
+/**
+ * Returns the rotation that `item` allows, read from its "rotate"
+ * (or "rotation") tag, eg. "rotate:none":
+ *   'none': never rotate, eg. text panels;
+ *   '90': may rotate by 90°;
+ *   'any': may rotate by 90°, and by any angle, even
+ *          without `allowAnyRotation`.
+ * Turning upside down never changes an item's footprint, so
+ * there's no "rotate:180"; use "rotate:none" instead.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {PageItem} item - an Illustrator or Indesign PageItem.
+ * @returns {String?} - 'none', '90' or 'any', or undefined if the item has no tag.
+ */
+function getItemRotation(item) {
+
+    var tags = getItemTags(item),
+        rotation = String(tags.rotate || tags.rotation || '').toLowerCase();
+
+    if (/^(none|no|off|0|false|locked?)$/.test(rotation))
+        return 'none';
+
+    if (/^(90|270)$/.test(rotation))
+        return '90';
+
+    if (/^(any|yes|on|true|all)$/.test(rotation))
+        return 'any';
+
+};
+
+/**
+ * Returns true when `block` may be packed rotated by 90°.
+ * @param {Block} block - the block.
+ * @param {Boolean} [allow90DegreeRotation] - the setting for blocks with no "rotate" tag (default: false).
+ * @returns {Boolean}
+ */
+function canRotateBlock(block, allow90DegreeRotation) {
+    return undefined != block.allowRotation ? block.allowRotation : true === allow90DegreeRotation;
+};
+
+/**
+ * Returns a description of the items that were packed rotated by 90°.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @param {Array<PageItem>} items - the items.
+ * @returns {String?} - eg. 'Rotated 90°: Sticker A (3 copies), Panel B.', or undefined if none were.
+ */
+function describeRotatedItems(attempt, items) {
+
+    var rotated = [],
+        names = [];
+
+    for (var i = 0; i < attempt.packedBlocks.length; i++) {
+        if (attempt.packedBlocks[i].isRotated)
+            rotated[attempt.packedBlocks[i].index] = (rotated[attempt.packedBlocks[i].index] || 0) + 1;
+    }
+
+    for (var i = 0; i < items.length; i++) {
+        if (rotated[i])
+            names.push((items[i].name || 'Item ' + (i + 1)) + (rotated[i] > 1 ? ' (' + rotated[i] + ' copies)' : ''));
+    }
+
+    if (0 === names.length)
+        return;
+
+    return 'Rotated 90\u00b0: ' + names.join(', ') + '.';
+
+};
+
+/**
+ * The sides of a padding, in CSS order.
+ */
+var PADDING_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Returns the item's own padding, which overrides the space
+ * between items, read from its "padding" tag, eg. "padding:3mm",
+ * or "padding:2mm/4mm" with 2 to 4 values in CSS order, or
+ * from "padding-top" (-right, -bottom, -left) tags; or else
+ * from `paddingByLayer`, the padding by layer name,
+ * eg. { 'Labels': '3mm', 'Tickets': '1mm/2mm' }.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {PageItem} item - an Illustrator or Indesign PageItem.
+ * @param {Object} [paddingByLayer] - the padding for the items on each layer, by layer name.
+ * @returns {Object?} - { top, right, bottom, left } in points, each undefined if not set, or undefined if the item has no padding of its own.
+ */
+function getItemPadding(item, paddingByLayer) {
+
+    var tags = getItemTags(item),
+        padding = tags.padding;
+
+    if (
+        undefined == padding
+        && paddingByLayer
+    ) {
+        var layerName = getItemLayerName(item);
+
+        if (
+            undefined != layerName
+            && paddingByLayer.hasOwnProperty(layerName)
+        )
+            padding = paddingByLayer[layerName];
+    }
+
+    var sides = undefined == padding ? undefined : parsePadding(padding);
+
+    for (var i = 0, tag, side; i < PADDING_SIDES.length; i++) {
+
+        tag = tags['padding-' + PADDING_SIDES[i]];
+        side = undefined == tag ? undefined : getUnitStringAsPoints(tag);
+
+        if (undefined == side || isNaN(side))
+            continue;
+
+        sides = sides || {};
+        sides[PADDING_SIDES[i]] = side;
+
+    }
+
+    return sides;
+
+};
+
+/**
+ * Returns `padding` as its four sides, given as 1 to 4 lengths in
+ * CSS order, separated by slashes, commas or spaces, eg. '2mm/4mm'.
+ * @param {String|Number} padding - the padding, eg. '3mm', or a number in points.
+ * @returns {Object?} - { top, right, bottom, left } in points, or undefined if it isn't a padding.
+ */
+function parsePadding(padding) {
+
+    var values = 'Number' === padding.constructor.name
+        ? [padding]
+        : String(padding).replace(/^[\s,\/]+|[\s,\/]+$/g, '').split(/[\s,\/]+/);
+
+    if (values.length > 4)
+        return;
+
+    for (var i = 0; i < values.length; i++) {
+
+        values[i] = getUnitStringAsPoints(values[i]);
+
+        if (undefined == values[i] || isNaN(values[i]))
+            return;
+
+    }
+
+    // as CSS: a missing side is the same as its opposite side
+    return {
+        top: values[0],
+        right: values.length > 1 ? values[1] : values[0],
+        bottom: values.length > 2 ? values[2] : values[0],
+        left: values.length > 3 ? values[3] : (values.length > 1 ? values[1] : values[0]),
+    };
+
+};
+
+/**
+ * Returns true if any of the blocks has its own padding.
+ * @param {Array<Block>} blocks - the blocks.
+ * @returns {Boolean}
+ */
+function hasItemPadding(blocks) {
+
+    for (var i = 0; i < blocks.length; i++) {
+        if (blocks[i].itemPadding)
+            return true;
+    }
+
+    return false;
+
+};
+
+/**
+ * Returns the quantity of each item, read from
+ * its "qty" tag, eg. "qty:40" (default: 1).
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items.
+ * @returns {Array<Number>}
+ */
+function getItemQuantities(items) {
+
+    var quantities = [];
+
+    for (var i = 0; i < items.length; i++) {
+
+        var tags = getItemTags(items[i]),
+            quantity = parseInt(tags.qty || tags.quantity, 10);
+
+        quantities.push(isNaN(quantity) ? 1 : Math.max(0, quantity));
+
+    }
+
+    return quantities;
+
+};
+
+/**
+ * Returns the quantity at `index` (default: 1).
+ * @param {Array<Number>} [quantities] - the quantity of each item.
+ * @param {Number} index - the item's index.
+ * @returns {Number}
+ */
+function getQuantity(quantities, index) {
+    return (quantities && undefined != quantities[index]) ? quantities[index] : 1;
+};
+
+/**
+ * Returns the total number of copies of the items.
+ * @param {Array<PageItem>} items - the items.
+ * @param {Array<Number>} [quantities] - the quantity of each item.
+ * @returns {Number}
+ */
+function getCopyCount(items, quantities) {
+
+    var count = 0;
+
+    for (var i = 0; i < items.length; i++)
+        count += getQuantity(quantities, i);
+
+    return count;
+
+};
+
+/**
+ * Gives each packed copy after the first its own duplicate
+ * of the item, so that only packed copies are duplicated.
+ * Call this before positioning any items.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<Block>} packedBlocks - the packed blocks.
+ */
+function duplicatePackedCopies(packedBlocks) {
+
+    var hasItem = {};
+
+    for (var i = 0, block; i < packedBlocks.length; i++) {
+
+        block = packedBlocks[i];
+
+        if (hasItem[block.index])
+            block.item = block.item.duplicate();
+
+        hasItem[block.index] = true;
+
+    }
+
+};
+
+/**
+ * Returns the bins that each item is pinned to, by its own "bin"
+ * tag (or "artboard" or "page" tag), eg. "bin:1-2", or by the
+ * first of `rules` that matches it. Each rule matches items by
+ * `tag`, eg. 'client:A' (or just 'client', for any value), by
+ * `layer` name or by fill `swatch` name, and gives the bins as
+ * `bins`, eg. '1-2, Back cover, #5', see `getMatchingBins`.
+ * Example rules:
+ *   [
+ *     { tag: 'client:A', bins: '1-2' },
+ *     { layer: 'Client B', bins: '3' },
+ *     { swatch: 'Die Cut', bins: 'Die sheet' },
+ *   ]
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items.
+ * @param {Array<Object>} bins - the bins.
+ * @param {Array<Object>} [rules] - the bin rules.
+ * @returns {Array<Object?>} - for each item, a map of its allowed bin indices, or undefined if it can go in any bin.
+ */
+function getAllowedBins(items, bins, rules) {
+
+    var allowedBins = [];
+
+    rules = rules || [];
+
+    for (var i = 0; i < items.length; i++) {
+
+        var tags = getItemTags(items[i]),
+            spec = tags.bin || tags.artboard || tags.page;
+
+        for (var j = 0; undefined == spec && j < rules.length; j++) {
+            if (ruleMatchesItem(rules[j], items[i], tags))
+                spec = rules[j].bins;
+        }
+
+        allowedBins[i] = undefined == spec ? undefined : getMatchingBins(spec, bins);
+
+    }
+
+    return allowedBins;
+
+};
+
+/**
+ * Returns true when every part of `rule` matches `item`.
+ * @param {Object} rule - { tag, layer, swatch }.
+ * @param {PageItem} item - the item.
+ * @param {Object} tags - the item's tags, from `getItemTags`.
+ * @returns {Boolean}
+ */
+function ruleMatchesItem(rule, item, tags) {
+
+    if (rule.tag) {
+
+        var parts = String(rule.tag).split(/\s*[:=]\s*/),
+            value = tags[parts[0].toLowerCase()];
+
+        if (
+            undefined == value
+            || (parts.length > 1 && String(value).toLowerCase() !== parts[1].toLowerCase())
+        )
+            return false;
+
+    }
+
+    if (
+        rule.layer
+        && getItemLayerName(item) !== rule.layer
+    )
+        return false;
+
+    if (
+        rule.swatch
+        && getItemSwatchName(item) !== rule.swatch
+    )
+        return false;
+
+    return !!(rule.tag || rule.layer || rule.swatch);
+
+};
+
+/**
+ * Returns the indices of the bins matching `spec`: either an
+ * Array of bin indices, or a String of comma-separated parts,
+ * each matching artboard or page numbers, eg. '3' or '1-2',
+ * artboard or page names, or bin numbers, eg. '#5', as shown
+ * in the results. Bins added as needed only match bin numbers.
+ * @param {Array<Number>|String} spec - the bins.
+ * @param {Array<Object>} bins - the bins.
+ * @returns {Object} - a map of the matching bin indices.
+ */
+function getMatchingBins(spec, bins) {
+
+    var matching = {};
+
+    if ('Array' === spec.constructor.name) {
+
+        for (var i = 0; i < spec.length; i++)
+            matching[spec[i]] = true;
+
+        return matching;
+
+    }
+
+    var parts = String(spec).split(',');
+
+    for (var i = 0; i < parts.length; i++) {
+
+        var part = parts[i].replace(/^\s+|\s+$/g, ''),
+            binNumber = part.match(/^#(\d+)$/),
+            range = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+
+        for (var j = 0, bin, number, name; j < bins.length; j++) {
+
+            bin = bins[j];
+
+            if (binNumber) {
+                if (j + 1 === Number(binNumber[1]))
+                    matching[j] = true;
+                continue;
+            }
+
+            if (bin.isExtra)
+                continue;
+
+            number = getBinNumber(bin);
+            name = bin.artboard ? bin.artboard.name : bin.page ? bin.page.name : undefined;
+
+            if (
+                (range && number >= Number(range[1]) && number <= Number(range[2] || range[1]))
+                || (undefined != name && name.toLowerCase() === part.toLowerCase())
+            )
+                matching[j] = true;
+
+        }
+
+    }
+
+    return matching;
+
+};
+
+/**
+ * Returns the artboard or page number of `bin`.
+ * @param {Object} bin - the bin.
+ * @returns {Number} - NaN if it has none.
+ */
+function getBinNumber(bin) {
+
+    if (undefined != bin.number)
+        return bin.number;
+
+    if (bin.page)
+        return Number(bin.page.name);
+
+    return NaN;
+
+};
+
+/**
+ * Returns the name of the item's layer.
+ * @param {PageItem} item - an Illustrator or Indesign PageItem.
+ * @returns {String?}
+ */
+function getItemLayerName(item) {
+
+    try {
+        return APP_IS_INDESIGN ? item.itemLayer.name : item.layer.name;
+    } catch (error) { }
+
+};
+
+/**
+ * Returns the name of the item's fill swatch, if any.
+ * @param {PageItem} item - an Illustrator or Indesign PageItem.
+ * @returns {String?}
+ */
+function getItemSwatchName(item) {
+
+    try {
+
+        if (APP_IS_INDESIGN)
+            return item.fillColor.name;
+
+        if ('SpotColor' === item.fillColor.typename)
+            return item.fillColor.spot.name;
+
+    } catch (error) { }
+
+};
+
+/**
+ * Returns true if `block` may be packed into bin `binIndex`.
+ * @param {Block} block - the block.
+ * @param {Number} binIndex - the index of the bin.
+ * @returns {Boolean}
+ */
+function isBinAllowed(block, binIndex) {
+    return undefined == block.allowedBins || true === block.allowedBins[binIndex];
+};
+
+/**
+ * Returns the blocks that may be packed into bin `binIndex`.
+ * @param {Array<Block>} blocks - the blocks.
+ * @param {Number} binIndex - the index of the bin.
+ * @returns {Array<Block>}
+ */
+function getBlocksAllowedInBin(blocks, binIndex) {
+
+    var allowed = [];
+
+    for (var i = 0; i < blocks.length; i++) {
+        if (isBinAllowed(blocks[i], binIndex))
+            allowed.push(blocks[i]);
+    }
+
+    return allowed;
+
+};
+
+/**
+ * Returns `blocks` without `removedBlocks`, in the same order.
+ * @param {Array<Block>} blocks - the blocks.
+ * @param {Array<Block>} removedBlocks - the blocks to remove, each with a `key`.
+ * @returns {Array<Block>}
+ */
+function removeBlocks(blocks, removedBlocks) {
+
+    var isRemoved = {},
+        remaining = [];
+
+    for (var i = 0; i < removedBlocks.length; i++)
+        isRemoved[removedBlocks[i].key] = true;
+
+    for (var i = 0; i < blocks.length; i++) {
+        if (!isRemoved[blocks[i].key])
+            remaining.push(blocks[i]);
+    }
+
+    return remaining;
+
+};
+
+/**
+ * Returns the keep-together group of each item, read from its
+ * "group" (or "kit") tag, eg. "group:card-17".
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<PageItem>} items - the items.
+ * @returns {Array<String?>} - the group of each item, or undefined if it has none.
+ */
+function getItemGroups(items) {
+
+    var groups = [];
+
+    for (var i = 0; i < items.length; i++) {
+        var tags = getItemTags(items[i]);
+        groups.push(tags.group || tags.kit);
+    }
+
+    return groups;
+
+};
+
+/**
+ * Returns the number of blocks in each group.
+ * @param {Array<Block>} blocks - the blocks.
+ * @returns {Object} - the count, by group.
+ */
+function getGroupSizes(blocks) {
+
+    var sizes = {};
+
+    for (var i = 0; i < blocks.length; i++) {
+        if (undefined != blocks[i].group)
+            sizes[blocks[i].group] = (sizes[blocks[i].group] || 0) + 1;
+    }
+
+    return sizes;
+
+};
+
+/**
+ * Returns the blocks as units to pack: each block on its own,
+ * except that the blocks of a group make one unit, in the
+ * place of the group's first block.
+ * @param {Array<Block>} blocks - the blocks, in order.
+ * @returns {Array<Array<Block>>}
+ */
+function getBlockUnits(blocks) {
+
+    var units = [],
+        unitOfGroup = {};
+
+    for (var i = 0, block; i < blocks.length; i++) {
+
+        block = blocks[i];
+
+        if (undefined == block.group)
+            units.push([block]);
+
+        else if (unitOfGroup[block.group])
+            unitOfGroup[block.group].push(block);
+
+        else
+            units.push(unitOfGroup[block.group] = [block]);
+
+    }
+
+    return units;
+
+};
+
+/**
+ * Places the blocks of a group with `packer`, one at a time.
+ * When keeping groups adjacent, each block after the first
+ * only tries the positions that touch the blocks already
+ * placed. Returns true if every block fits; otherwise the
+ * packer and the blocks are left as they were.
+ * @param {Packer} packer - the packer, begun.
+ * @param {Array<Block>} unit - the blocks of the group.
+ * @param {Boolean} [keepAdjacent] - whether the blocks must touch (default: false).
+ * @returns {Boolean}
+ */
+function placeGroup(packer, unit, keepAdjacent) {
+
+    var state = packer.save(),
+        states = getBlockStates(unit);
+
+    for (var i = 0; i < unit.length; i++) {
+
+        var placement = packer.find(unit[i], (i > 0 && true === keepAdjacent) ? isTouchingGroup : undefined);
+
+        if (!placement) {
+            packer.restore(state);
+            setBlockStates(states);
+            return false;
+        }
+
+        packer.place(unit[i], placement);
+
+    }
+
+    return true;
+
+    function isTouchingGroup(rect) {
+        return isTouchingBlocks(rect, unit.slice(0, i));
+    };
+
+};
+
+/**
+ * Returns true if `rect` shares part of an edge with any of the blocks.
+ * @param {Object} rect - { x0, y0, x1, y1 }.
+ * @param {Array<Block>} blocks - the packed blocks.
+ * @returns {Boolean}
+ */
+function isTouchingBlocks(rect, blocks) {
+
+    for (var i = 0; i < blocks.length; i++) {
+
+        var b = blocks[i],
+            overlapX = Math.min(rect.x1, b.x1) - Math.max(rect.x0, b.x0),
+            overlapY = Math.min(rect.y1, b.y1) - Math.max(rect.y0, b.y0);
+
+        if (
+            (Math.abs(overlapX) < 0.001 && overlapY > 0.001)
+            || (Math.abs(overlapY) < 0.001 && overlapX > 0.001)
+        )
+            return true;
+
+    }
+
+    return false;
+
+};
+
+/**
+ * Returns the rotation of each block, for `setBlockStates`.
+ * @param {Array<Block>} blocks - the blocks.
+ * @returns {Array<Object>} - [{ block, isRotated }].
+ */
+function getBlockStates(blocks) {
+
+    var states = [];
+
+    for (var i = 0; i < blocks.length; i++)
+        states.push({ block: blocks[i], isRotated: blocks[i].isRotated });
+
+    return states;
+
+};
+
+/**
+ * Returns each block to its rotation in `states`, unpacked.
+ * @param {Array<Object>} states - [{ block, isRotated }], from `getBlockStates`.
+ */
+function setBlockStates(states) {
+
+    for (var i = 0; i < states.length; i++) {
+
+        if (states[i].block.isRotated !== states[i].isRotated)
+            states[i].block.rotate(true);
+
+        states[i].block.packed = false;
+
+    }
+
+};
+
+/**
+ * Returns lines describing why items weren't packed: the items
+ * whose bins couldn't be made (see `dropBins`), the items too big
+ * for any of their bins, and the pinned items that would fit, but
+ * whose bins were full.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @param {Array<PageItem>} items - the items.
+ * @param {Array<Object>} bins - the bins.
+ * @param {Boolean} [allow90DegreeRotation] - whether blocks may be rotated (default: false).
+ * @returns {Array<String>} - eg. ['Too big for their bins: Poster.', 'Their bins were full: Card A (3 copies).']
+ */
+function describeUnpackedItems(attempt, items, bins, allow90DegreeRotation) {
+
+    var noBin = [],
+        tooBig = [],
+        binsFull = [],
+        noRoom = [];
+
+    for (var i = 0, block, fitsABin; i < attempt.remainingBlocks.length; i++) {
+
+        block = attempt.remainingBlocks[i];
+        fitsABin = false;
+
+        if (block.binDropped) {
+            // packed, but its bin couldn't be made
+            noBin[block.index] = (noBin[block.index] || 0) + 1;
+            continue;
+        }
+
+        for (var j = 0; !fitsABin && j < bins.length; j++) {
+
+            if (!isBinAllowed(block, j))
+                continue;
+
+            fitsABin = (block.w <= bins[j].width && block.h <= bins[j].height)
+                || (canRotateBlock(block, allow90DegreeRotation) && block.h <= bins[j].width && block.w <= bins[j].height);
+
+        }
+
+        if (!fitsABin)
+            tooBig[block.index] = (tooBig[block.index] || 0) + 1;
+
+        else if (block.allowedBins)
+            binsFull[block.index] = (binsFull[block.index] || 0) + 1;
+
+        else
+            noRoom[block.index] = (noRoom[block.index] || 0) + 1;
+
+    }
+
+    var lines = [],
+        groups = [
+            ['No room for their artboard or page: ', noBin],
+            ['Too big for their bins: ', tooBig],
+            ['Their bins were full: ', binsFull],
+            ['No room left: ', noRoom],
+        ];
+
+    for (var g = 0; g < groups.length; g++) {
+
+        var names = [];
+
+        for (var i = 0; i < items.length; i++) {
+            if (groups[g][1][i])
+                names.push((items[i].name || 'Item ' + (i + 1)) + (groups[g][1][i] > 1 ? ' (' + groups[g][1][i] + ' copies)' : ''));
+        }
+
+        if (names.length > 0)
+            lines.push(groups[g][0] + names.join(', ') + '.');
+
+    }
+
+    return lines;
+
+};
+
+/**
+ * Returns the items with no packed copies.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @returns {Array<PageItem>}
+ */
+function getUnpackedItems(attempt) {
+
+    var isPacked = {},
+        isListed = {},
+        unpackedItems = [];
+
+    for (var i = 0; i < attempt.packedBlocks.length; i++)
+        isPacked[attempt.packedBlocks[i].index] = true;
+
+    for (var i = 0, block; i < attempt.remainingBlocks.length; i++) {
+
+        block = attempt.remainingBlocks[i];
+
+        if (isPacked[block.index] || isListed[block.index])
+            continue;
+
+        isListed[block.index] = true;
+        unpackedItems.push(block.item);
+
+    }
+
+    return unpackedItems;
+
+};
+
+/**
+ * Returns a line for each item with a quantity other than 1,
+ * showing the number of copies placed versus requested.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @param {Array<PageItem>} items - the items.
+ * @param {Array<Number>} [quantities] - the quantity of each item.
+ * @returns {Array<String>} - eg. ['Sticker A: 40 of 40 placed.']
+ */
+function describeCopyCounts(attempt, items, quantities) {
+
+    var placed = [],
+        lines = [];
+
+    for (var i = 0; i < attempt.packedBlocks.length; i++)
+        placed[attempt.packedBlocks[i].index] = (placed[attempt.packedBlocks[i].index] || 0) + 1;
+
+    for (var i = 0; i < items.length; i++) {
+
+        if (1 === getQuantity(quantities, i))
+            continue;
+
+        lines.push((items[i].name || 'Item ' + (i + 1)) + ': ' + (placed[i] || 0) + ' of ' + getQuantity(quantities, i) + ' placed.');
+
+    }
+
+    return lines;
+
+};
+
+/**
+ * Returns extra bins, copies of `templateBins`, for adding
+ * artboards or pages as needed. Each group of copies stands
+ * for one new artboard or page, and is only made real if
+ * the packing uses it.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<Object>} templateBins - the bins to copy (those of one artboard or page).
+ * @param {Number} groupCount - the maximum number of new artboards or pages.
+ * @returns {Array<Object>}
+ */
+function makeExtraBins(templateBins, groupCount) {
+
+    var extraBins = [];
+
+    for (var g = 0; g < groupCount; g++) {
+
+        for (var i = 0; i < templateBins.length; i++) {
+
+            extraBins.push({
+                isExtra: true,
+                extraIndex: g,
+                groupSize: templateBins.length,
+                template: templateBins[i],
+                bounds: templateBins[i].bounds.slice(),
+                width: templateBins[i].width,
+                height: templateBins[i].height,
+            });
+
+        }
+
+    }
+
+    return extraBins;
+
+};
+
+/**
+ * Returns the obstacles inside `bin`, in packer coordinates,
+ * given the bounds of the artwork to keep out of the bin.
+ * Each obstacle is extended by `padding` to the right and
+ * below, just like a Block, so that packed items keep their
+ * distance from the obstacle on every side.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} bin - the bin, with bounds [T, L, B, R].
+ * @param {Array<bounds>} keepOutBounds - the bounds of the artwork to avoid [ [T, L, B, R], ... ].
+ * @param {Number} [padding] - the space between items (default: 0).
+ * @returns {Array<Object>} - [{ x0, y0, x1, y1 }, ...]
+ */
+function getBinObstacles(bin, keepOutBounds, padding) {
+
+    padding = padding || 0;
+
+    var obstacles = [],
+        top = bin.bounds[0],
+        left = bin.bounds[1];
+
+    for (var i = 0; i < keepOutBounds.length; i++) {
+
+        var b = keepOutBounds[i],
+            obstacle = {
+                x0: Math.max(0, b[1] - left),
+                y0: Math.max(0, b[0] - top),
+                x1: Math.min(bin.width, b[3] - left + padding),
+                y1: Math.min(bin.height, b[2] - top + padding),
+            };
+
+        if (
+            obstacle.x0 < obstacle.x1
+            && obstacle.y0 < obstacle.y1
+        )
+            obstacles.push(obstacle);
+
+    }
+
+    return obstacles;
+
+};
+
+/**
+ * Blocks are used to keep track
+ * of items during packing.
+ * @author m1b
+ * @version 2024-10-14
+ * @param {Object} settings -
+ * @param {PageItem} item - a Page Item.
+ */
+function Block(settings, item, index) {
+
+    var bounds = APP_IS_ILLUSTRATOR
+        ? getItemBoundsIllustrator(item)
+        : getItemBoundsIndesign(item);
+
+    if (true === settings.bleedMode) {
+
+        // the block is the item's trim box, and
+        // its bleed may overlap a neighbour's bleed
+        var trimBounds = getItemTrimBounds(item);
+
+        this.bleed = getBleedSides(bounds, trimBounds);
+        bounds = trimBounds;
+
+    }
+
+    this.item = item;
+    this.index = index;
+    this.doc = settings.doc;
+    this.padding = settings.padding;
+    this.margin = settings.margin;
+    this.isRotated = false;
+
+    // the item's own allowed rotation, from its "rotate" tag,
+    // overrides `allow90DegreeRotation` when set
+    this.rotation = getItemRotation(item);
+    this.allowRotation = undefined == this.rotation
+        ? undefined
+        : ('90' === this.rotation || 'any' === this.rotation);
+
+    // the item's own padding, from its "padding" tag or its layer,
+    // kept clear of other items, as well as `padding`
+    this.itemPadding = getItemPadding(item, settings.paddingByLayer);
+
+    // binIndex will be set later by a Packer
+    this.binIndex = undefined;
+
+    // the offset from the packed position, set by `alignBlocks`
+    this.offsetX = 0;
+    this.offsetY = 0;
+
+    // `dx` and `dy` are from `bounds` to the box that the item is
+    // positioned by; both boxes turn with the item when it is
+    // rotated 90° counterclockwise, so the rotated offsets come
+    // from the same two boxes
+    var rotatedDX,
+        rotatedDY;
+
+    if (APP_IS_ILLUSTRATOR) {
+        // positioned by its left and top, bounds are [L, T, R, B]
+        this.w = bounds[2] - bounds[0] + this.padding;
+        this.h = bounds[1] - bounds[3] + this.padding;
+        this.dx = item.left - bounds[0];
+        this.dy = item.top - bounds[1];
+        rotatedDX = -this.dy;
+        rotatedDY = (item.left + item.width) - bounds[2];
+    }
+
+    else if (APP_IS_INDESIGN) {
+        // positioned by its geometric bounds, bounds are [T, L, B, R]
+        this.w = bounds[3] - bounds[1] + this.padding;
+        this.h = bounds[2] - bounds[0] + this.padding;
+        this.dx = item.geometricBounds[1] - bounds[1];
+        this.dy = item.geometricBounds[0] - bounds[0];
+        rotatedDX = this.dy;
+        rotatedDY = bounds[3] - item.geometricBounds[3];
+    }
+
+    this.dimensions = {
+        w: this.w,
+        h: this.h,
+        dx: this.dx,
+        dy: this.dy,
+    };
+
+    this.rotatedDimensions = {
+        w: this.h,
+        h: this.w,
+        dx: rotatedDX,
+        dy: rotatedDY,
+    };
+
+    if (true === settings.forceRotate)
+        this.rotate();
+
+};
+
+// swap block between 0 and 90 degree rotation, unless its item
+// may not rotate by 90° - `force` swaps it anyway, to transpose
+// the block when filling columns first (see `orientBlocks`)
+Block.prototype.rotate = function (force) {
+
+    if (this.w == this.h) return;
+
+    if (false === this.allowRotation && true !== force) return;
+
+    this.isRotated = !this.isRotated;
+    this.w = this.isRotated ? this.rotatedDimensions.w : this.dimensions.w;
+    this.h = this.isRotated ? this.rotatedDimensions.h : this.dimensions.h;
+    this.dx = this.isRotated ? this.rotatedDimensions.dx : this.dimensions.dx;
+    this.dy = this.isRotated ? this.rotatedDimensions.dy : this.dimensions.dy;
+
+};
+
+/**
+ * Returns a fresh copy of the Block, for packing
+ * another copy of the same item.
+ * @returns {Block}
+ */
+Block.prototype.copy = function () {
+
+    var Copy = function () { };
+    Copy.prototype = Block.prototype;
+
+    var copy = new Copy();
+
+    for (var key in this) {
+        if (this.hasOwnProperty(key))
+            copy[key] = this[key];
+    }
+
+    return copy;
+
+};
+
+/**
+ * Position the Block's item on an Illustrator Artboard.
+ * @param {Object} settings - the packing settings.
+ */
+Block.prototype.positionItemOnArtboard = function (settings) {
+
+    var self = this;
+
+    if (!self.packed)
+        return;
+
+    if (self.isRotated)
+        self.item.rotate(90);
+
+    // bin bounds are [T, L, B, R] with positive Y axis
+    var binBounds = settings.bins[self.binIndex].bounds,
+        l = binBounds[1] + self.x0 + self.offsetX,
+        t = -(binBounds[0] + self.y0 + self.offsetY),
+        r = binBounds[1] + self.x1 + self.offsetX,
+        b = -(binBounds[0] + self.y1 + self.offsetY);
+
+    if (settings.showBlockBounds)
+        var r = drawRectangleIllustrator(self.item.parent, [l, t, r, b]);
+
+    if (settings.showOnlyBlockBounds)
+        return;
+
+    // position the item
+    self.item.left = l + self.dx;
+    self.item.top = t + self.dy;
+
+};
+
+/**
+ * Position the Block's item on an Indesign Page.
+ * @param {Object} settings - the packing settings.
+ */
+Block.prototype.positionItemOnPage = function (settings) {
+
+    var self = this;
+
+    if (!self.packed)
+        return;
+
+    if (self.isRotated) {
+        self.item.transform(
+            CoordinateSpaces.pasteboardCoordinates,
+            AnchorPoint.CENTER_ANCHOR,
+            app.transformationMatrices.add({ counterclockwiseRotationAngle: 90 })
+        );
+    }
+
+    var bin = settings.bins[self.binIndex];
+    var currentPage = bin.page;
+
+    if (self.item.parentPage !== currentPage)
+        self.item.move(currentPage);
+
+    // if (settings.showBlockBounds) {
+    //     var r = drawRectangle(self.item.parent, [l, t, r, b]);
+    //     if (settings.showOnlyBlockBounds)
+    //         return;
+    // }
+
+    // position the item
+    var dx = bin.bounds[1] + self.x0 + self.offsetX + self.dx - self.item.geometricBounds[1],
+        dy = bin.bounds[0] + self.y0 + self.offsetY + self.dy - self.item.geometricBounds[0];
+
+    self.item.transform(
+        CoordinateSpaces.pasteboardCoordinates,
+        AnchorPoint.TOP_LEFT_ANCHOR,
+        app.transformationMatrices.add({ horizontalTranslation: dx, verticalTranslation: dy })
+    );
+
+};
+
+/**
+ * Clips the Block's item on an Illustrator Artboard to
+ * `block.clip`, from `clipBleeds`, with a clipping group,
+ * which then becomes the Block's item.
+ * @param {Object} settings - the packing settings.
+ */
+Block.prototype.clipItemOnArtboard = function (settings) {
+
+    var self = this;
+
+    if (
+        !self.packed
+        || !self.clip
+    )
+        return;
+
+    // bin bounds are [T, L, B, R] with positive Y axis
+    var binBounds = settings.bins[self.binIndex].bounds,
+        group = self.item.parent.groupItems.add();
+
+    group.move(self.item, ElementPlacement.PLACEBEFORE);
+    self.item.move(group, ElementPlacement.PLACEATEND);
+
+    var mask = group.pathItems.rectangle(
+        -(binBounds[0] + self.clip.y0),
+        binBounds[1] + self.clip.x0,
+        self.clip.x1 - self.clip.x0,
+        self.clip.y1 - self.clip.y0
+    );
+
+    mask.move(group, ElementPlacement.PLACEATBEGINNING);
+    group.clipped = true;
+
+    self.item = group;
+
+};
+
+/**
+ * Clips the Block's item on an Indesign Page to `block.clip`,
+ * from `clipBleeds`, by cropping its frame. Only a graphic
+ * frame can be cropped, leaving its graphic in place.
+ * @param {Object} settings - the packing settings.
+ * @returns {Boolean} - false if the item needed clipping, but isn't a graphic frame.
+ */
+Block.prototype.clipItemOnPage = function (settings) {
+
+    var self = this;
+
+    if (
+        !self.packed
+        || !self.clip
+    )
+        return true;
+
+    if (
+        !/^(Rectangle|Oval|Polygon)$/.test(self.item.constructor.name)
+        || 0 === self.item.allGraphics.length
+    )
+        return false;
+
+    // bounds are [T, L, B, R]
+    var binBounds = settings.bins[self.binIndex].bounds,
+        bounds = self.item.geometricBounds;
+
+    self.item.geometricBounds = [
+        Math.max(bounds[0], binBounds[0] + self.clip.y0),
+        Math.max(bounds[1], binBounds[1] + self.clip.x0),
+        Math.min(bounds[2], binBounds[0] + self.clip.y1),
+        Math.min(bounds[3], binBounds[1] + self.clip.x1),
+    ];
+
+    return true;
+
+};
+
+// just for debugging
+Block.prototype.toString = function () {
+
+    if (!this.packed)
+        return '[Object Block, not packed]';
+
+    return '[Object Block, bin:' + this.binIndex
+        + ', isRotated:' + this.isRotated
+        + ', x0:' + this.x0
+        + ', y0:' + this.y0
+        + ', w:' + this.w
+        + ', h:' + this.h
+        + ']';
+
+};
+
+/**
+ * Returns bounds of item(s) for Indesign.
+ * Note: just a quick conversion of my Illustrator function,
+ * so probably doesn't cover many edge cases.
+ * @author m1b
+ * @version 2024-09-07
+ * @param {PageItem|Array<PageItem>} item - an Indesign PageItem or array of PageItems.
+ * @param {Boolean} [geometric] - if false, returns visible bounds.
+ * @param {Array} [bounds] - private parameter, used when recursing.
+ * @returns {Array} - the calculated bounds.
+ */
+function getItemBoundsIndesign(item, geometric, bounds) {
+
+    var newBounds = [],
+        boundsKey = geometric ? 'geometricBounds' : 'visibleBounds';
+
+    if (undefined == item)
+        return;
+
+    if (
+        'Group' === item.constructor.name
+        || 'Array' === item.constructor.name
+    ) {
+
+        var children = 'Group' === item.constructor.name ? item.pageItems : item,
+            contentBounds = [];
+
+        for (var i = 0; i < children.length; i++)
+            contentBounds.push(getItemBoundsIndesign(children[i], geometric, bounds));
+
+        newBounds = combineBounds(contentBounds);
+
+    }
+
+    else if (
+        'TextFrame' === item.constructor.name
+        && (
+            // frame has no fill
+            !item.fillColor.hasOwnProperty('model')
+            && (
+                // frame has no stroke
+                !item.strokeColor.hasOwnProperty('model')
+                || 0 === item.strokeWeight
+            )
+        )
+    ) {
+
+        // get bounds of outlined text
+        var dup = item.duplicate().createOutlines()[0];
+        newBounds = dup[boundsKey];
+        dup.remove();
+
+    }
+
+    else if (item.hasOwnProperty(boundsKey)) {
+
+        newBounds = item[boundsKey];
+
+    }
+
+    // `bounds` will exist if this is a recursive execution
+    bounds = (undefined == bounds)
+        ? bounds = newBounds
+        : bounds = combineBounds([newBounds, bounds]);
+
+    return bounds;
+
+};
+
+/**
+ * Returns bounds of item(s).
+ * @author m1b
+ * @version 2024-03-10
+ * @param {PageItem|Array<PageItem>} item - an Illustrator PageItem or array of PageItems.
+ * @param {Boolean} [geometric] - if false, returns visible bounds.
+ * @param {Array} [bounds] - private parameter, used when recursing.
+ * @returns {Array} - the calculated bounds.
+ */
+function getItemBoundsIllustrator(item, geometric, bounds) {
+
+    var newBounds = [],
+        boundsKey = geometric ? 'geometricBounds' : 'visibleBounds';
+
+    if (undefined == item)
+        return;
+
+    if (
+        item.typename == 'GroupItem'
+        || item.constructor.name == 'Array'
+    ) {
+
+        var children = item.typename == 'GroupItem' ? item.pageItems : item,
+            contentBounds = [],
+            isClippingGroup = (item.hasOwnProperty('clipped') && item.clipped == true),
+            clipBounds;
+
+        for (var i = 0, child; i < children.length; i++) {
+
+            child = children[i];
+
+            if (
+                child.hasOwnProperty('clipping')
+                && true === child.clipping
+            )
+                // the clipping item
+                clipBounds = child.geometricBounds;
+
+            else
+                contentBounds.push(getItemBoundsIllustrator(child, geometric, bounds));
+
+        }
+
+        newBounds = combineBounds(contentBounds);
+
+        if (isClippingGroup)
+            newBounds = intersectionOfBounds([clipBounds, newBounds]);
+
+    }
+
+    else if (
+        'TextFrame' === item.constructor.name
+        && TextType.AREATEXT !== item.kind
+    ) {
+
+        // get bounds of outlined text
+        var dup = item.duplicate().createOutline();
+        newBounds = dup[boundsKey];
+        dup.remove();
+
+    }
+
+    else if (item.hasOwnProperty(boundsKey)) {
+
+        newBounds = item[boundsKey];
+
+    }
+
+    // `bounds` will exist if this is a recursive execution
+    bounds = (undefined == bounds)
+        ? bounds = newBounds
+        : bounds = combineBounds([newBounds, bounds]);
+
+    return bounds;
+
+};
+
+/**
+ * Returns the item's trim box: the geometric bounds of a path
+ * named "trim" in the item, such as the clipping path of a
+ * clipping group, or else of the item itself.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {PageItem} item - an Illustrator or Indesign PageItem.
+ * @returns {Array} - the bounds, [L, T, R, B] in Illustrator, or [T, L, B, R] in Indesign.
+ */
+function getItemTrimBounds(item) {
+
+    var trim = getTrimItem(item);
+
+    if (trim)
+        return trim.geometricBounds;
+
+    return APP_IS_ILLUSTRATOR
+        ? getItemBoundsIllustrator(item, true)
+        : getItemBoundsIndesign(item, true);
+
+};
+
+/**
+ * Returns the page item named "trim" (not case-sensitive)
+ * in `item`, or `item` itself, if it is named "trim".
+ * @param {PageItem} item - an Illustrator or Indesign PageItem.
+ * @returns {PageItem?}
+ */
+function getTrimItem(item) {
+
+    if (/^trim$/i.test(item.name || ''))
+        return item;
+
+    if (!item.hasOwnProperty('pageItems'))
+        return;
+
+    for (var i = 0, trim; i < item.pageItems.length; i++) {
+
+        trim = getTrimItem(item.pageItems[i]);
+
+        if (trim)
+            return trim;
+
+    }
+
+};
+
+/**
+ * Returns how far the item's artwork bleeds past its trim box on each side.
+ * @param {Array} bounds - the visible bounds of the item.
+ * @param {Array} trimBounds - the trim bounds of the item, from `getItemTrimBounds`.
+ * @returns {Object} - { top, right, bottom, left }, in points.
+ */
+function getBleedSides(bounds, trimBounds) {
+
+    // Illustrator bounds are [L, T, R, B] with y up, Indesign bounds [T, L, B, R] with y down
+    var sides = APP_IS_ILLUSTRATOR
+        ? {
+            top: bounds[1] - trimBounds[1],
+            right: bounds[2] - trimBounds[2],
+            bottom: trimBounds[3] - bounds[3],
+            left: trimBounds[0] - bounds[0],
+        }
+        : {
+            top: trimBounds[0] - bounds[0],
+            right: bounds[3] - trimBounds[3],
+            bottom: bounds[2] - trimBounds[2],
+            left: trimBounds[1] - bounds[1],
+        };
+
+    for (var i = 0; i < PADDING_SIDES.length; i++)
+        sides[PADDING_SIDES[i]] = Math.max(0, sides[PADDING_SIDES[i]]);
+
+    return sides;
+
+};
+
+/**
+ * Returns the combined bounds of all bounds supplied.
+ * Works with Illustrator or Indesign bounds.
+ * @author m1b
+ * @version 2024-03-09
+ * @param {Array<bounds>} boundsArray - an array of bounds [L, T, R, B] or [T, L , B, R].
+ * @returns {bounds?} - the combined bounds.
+ */
+function combineBounds(boundsArray) {
+
+    var combinedBounds = boundsArray[0],
+        comparator;
+
+    if (APP_IS_INDESIGN)
+        comparator = [Math.min, Math.min, Math.max, Math.max];
+
+    else if (APP_IS_ILLUSTRATOR)
+        comparator = [Math.min, Math.max, Math.max, Math.min];
+
+    // iterate through the rest of the bounds
+    for (var i = 1; i < boundsArray.length; i++) {
+
+        var bounds = boundsArray[i];
+
+        combinedBounds = [
+            comparator[0](combinedBounds[0], bounds[0]),
+            comparator[1](combinedBounds[1], bounds[1]),
+            comparator[2](combinedBounds[2], bounds[2]),
+            comparator[3](combinedBounds[3], bounds[3]),
+        ];
+
+    }
+
+    return combinedBounds;
+
+};
+
+/**
+ * Returns the overlapping rectangle
+ * of two or more rectangles.
+ * NOTE: Returns undefined if ANY
+ * rectangles do not intersect.
+ * @author m1b
+ * @version 2024-09-05
+ * @param {Array<bounds>} arrayOfBounds - an array of bounds [L, T, R, B] or [T, L , B, R].
+ * @returns {bounds?} - intersecting bounds.
+ */
+function intersectionOfBounds(arrayOfBounds) {
+
+    var comparator;
+
+    if (APP_IS_INDESIGN)
+        comparator = [Math.max, Math.max, Math.min, Math.min];
 
     else if (APP_IS_ILLUSTRATOR)
-        comparator = [Math.min, Math.max, Math.max, Math.min];
+        comparator = [Math.max, Math.min, Math.min, Math.max];
+
+    // sort a copy of array
+    var bounds = arrayOfBounds
+        .slice(0)
+        .sort(function (a, b) { return b[0] - a[0] || a[1] - b[1] });
+
+    // start with first bounds
+    var intersection = bounds.shift(),
+        b;
+
+    // compare each bounds, getting smaller
+    while (b = bounds.shift()) {
+
+        // if doesn't intersect, bail out
+        if (!boundsDoIntersect(intersection, b))
+            return;
+
+        intersection = [
+            comparator[0](intersection[0], b[0]),
+            comparator[1](intersection[1], b[1]),
+            comparator[2](intersection[2], b[2]),
+            comparator[3](intersection[3], b[3]),
+        ];
+
+    }
+
+    return intersection;
+
+};
+
+/**
+ * Returns true if the two bounds intersect.
+ * @author m1b
+ * @version 2024-03-10
+ * @param {Array} bounds1 - bounds array.
+ * @param {Array} bounds2 - bounds array.
+ * @param {Boolean} [TLBR] - whether bounds arrays are interpreted as [t, l, b, r] or [l, t, r, b] (default: based on app).
+ * @returns {Boolean}
+ */
+function boundsDoIntersect(bounds1, bounds2, TLBR) {
+
+    if (undefined == TLBR)
+        TLBR = (APP_IS_INDESIGN);
+
+    return !(
+
+        TLBR
+
+            // TLBR
+            ? (
+                bounds2[0] > bounds1[2]
+                || bounds2[1] > bounds1[3]
+                || bounds2[2] < bounds1[0]
+                || bounds2[3] < bounds1[1]
+            )
+
+            // LTRB
+            : (
+                bounds2[0] > bounds1[2]
+                || bounds2[1] < bounds1[3]
+                || bounds2[2] < bounds1[0]
+                || bounds2[3] > bounds1[1]
+            )
+    );
+
+};
+
+/**
+ * Draws a rectangle to the document.
+ * @param {Document|Layer|GroupItem} container - an Illustrator container.
+ * @param {Array<Number>} bounds - [T, L, B, R]
+ * @param {Object} props - properties to assign to the rectangle.
+ * @return {PathItem}
+ */
+function drawRectangleIllustrator(container, bounds, properties) {
+
+    properties = properties || {};
+
+    var rectangle = container.pathItems.rectangle(bounds[1], bounds[0], bounds[2] - bounds[0], -(bounds[3] - bounds[1])); // TLWH
+
+    // defaults
+    rectangle.filled = true;
+    rectangle.stroked = false;
+
+    // apply properties
+    for (var key in properties)
+        if (properties.hasOwnProperty(key))
+            rectangle[key] = properties[key];
+
+    return rectangle;
+
+};
+
+/**
+ * Shuffles `things` array into random order;
+ * Based on Fischer Yates algorithm.
+ * @param {Array<*>} things - the things to shuffle.
+ * @param {Function} [random] - returns a random number from 0 to 1 (default: Math.random).
+ * @returns {Array<*>}
+ */
+function shuffle(things, random) {
+
+    // randomises order of an array
+    if (!things)
+        throw Error("shuffle: no `things` supplied.");
+
+    var i = things.length,
+        j = 0,
+        temp;
+
+    random = random || Math.random;
+
+    while (i--) {
+
+        j = Math.floor(random() * (i + 1));
+        // swap randomly chosen element with current element
+        temp = things[i];
+        things[i] = things[j];
+        things[j] = temp;
+
+    }
+
+    return things.slice(0);
+
+};
+
+/**
+ * Returns a seeded pseudo-random number generator: a function
+ * returning a number from 0 to 1, always giving the same sequence
+ * for the same seed. Uses the Park-Miller "minimal standard" generator.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Number} seed - a whole number from 1 to 2147483646.
+ * @returns {Function}
+ */
+function getRandomGenerator(seed) {
+
+    var state = Math.floor(seed) % 2147483647;
+
+    if (state <= 0)
+        state += 2147483646;
+
+    return function random() {
+        state = state * 16807 % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+
+};
+
+/**
+ * Returns a new seed for `getRandomGenerator`.
+ * @returns {Number}
+ */
+function makeSeed() {
+    return 1 + Math.floor(Math.random() * 2147483646);
+};
+
+function rotate(item) {
+
+}
+
+/**
+ * Draws and returns a Rectangle.
+ * For Indesign
+ * @author m1b
+ * @version 2023-08-24
+ * @param {Document|Layer|Group} container - the container for the rectangle.
+ * @param {Array<Number>} bounds - rectangle bounds [T,L,B,R].
+ * @returns {Rectangle}
+ */
+function drawRectangleIndesign(container, bounds, props) {
+
+    var rectangle = container.rectangles.add({
+        geometricBounds: bounds,
+    });
+
+    if (props)
+        rectangle.properties = props;
+
+    return rectangle;
+
+};
+
+/**
+ * Takes the largest closed path out of `settings.items`
+ * (and its quantity out of `settings.quantities`),
+ * and stores it as `settings.binPath`, to be packed into.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} settings - the packing settings.
+ * @param {Function} isClosedPath - function(item) returning true when item is a closed path.
+ */
+function separateBinPath(settings, isClosedPath) {
+
+    var items = settings.items,
+        binPathIndex = -1,
+        maxArea = 0;
+
+    for (var i = 0; i < items.length; i++) {
+
+        if (!isClosedPath(items[i]))
+            continue;
+
+        // works for [L, T, R, B] and [T, L, B, R] alike
+        var b = items[i].geometricBounds,
+            area = Math.abs((b[2] - b[0]) * (b[3] - b[1]));
+
+        if (area > maxArea) {
+            maxArea = area;
+            binPathIndex = i;
+        }
+
+    }
+
+    if (-1 === binPathIndex)
+        return;
+
+    var quantities = settings.quantities;
+
+    settings.binPath = items[binPathIndex];
+    settings.binPathIndex = binPathIndex;
+    settings.items = [];
+
+    if (quantities)
+        settings.quantities = [];
+
+    for (var i = 0; i < items.length; i++) {
+
+        if (i === binPathIndex)
+            continue;
+
+        settings.items.push(items[i]);
+
+        if (quantities)
+            settings.quantities.push(quantities[i]);
+
+    }
+
+};
+
+/**
+ * Returns the obstacles for a bin shaped by a closed path,
+ * in packer coordinates: everything inside the bin's bounds
+ * that is outside the shape, or inside one of its holes.
+ *
+ * The bin is divided into horizontal strips, and the parts
+ * of each strip that lie entirely inside the shape are found
+ * by sampling the shape's edges at the top and bottom of the
+ * strip, and either side of any vertex within it. The rest of
+ * each strip is an obstacle. Finer strips follow the shape more
+ * closely, at the cost of more obstacles.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} bin - the bin, with bounds [T, L, B, R].
+ * @param {Array<Array<point>>} rings - the shape's closed paths, as polygons [[x, y], ...] with positive Y axis (even-odd fill).
+ * @param {Number} [padding] - the space between items (default: 0).
+ * @param {Number} [margin] - the space to keep between items and the shape's edges (default: 0).
+ * @param {Number} [resolution] - the height of each strip, in points (default: 5).
+ * @returns {Array<Object>} - [{ x0, y0, x1, y1 }, ...]
+ */
+function getShapedBinObstacles(bin, rings, padding, margin, resolution) {
+
+    padding = padding || 0;
+    margin = margin || 0;
+    resolution = resolution || 5;
+
+    var top = bin.bounds[0],
+        left = bin.bounds[1],
+        width = bin.bounds[3] - bin.bounds[1],
+        height = bin.bounds[2] - bin.bounds[0],
+        stripCount = Math.ceil(height / resolution),
+        tiny = Math.min(0.001, resolution / 100),
+        inside = [],
+        usable = [],
+        obstacles = [],
+        edges = [],
+        vertexYs = [];
+
+    // collect the edges, relative to the bin
+    for (var r = 0; r < rings.length; r++) {
+
+        var ring = rings[r];
+
+        for (var i = 0; i < ring.length; i++) {
+
+            var a = ring[i],
+                b = ring[(i + 1) % ring.length];
+
+            vertexYs.push(a[1] - top);
+
+            if (a[1] !== b[1])
+                edges.push([a[0] - left, a[1] - top, b[0] - left, b[1] - top]);
+
+        }
+
+    }
+
+    vertexYs.sort(function (a, b) { return a - b });
+
+    // the parts of each strip entirely inside the shape
+    for (var s = 0, v = 0; s < stripCount; s++) {
+
+        var y0 = s * resolution,
+            y1 = Math.min(height, y0 + resolution),
+            intervals = intervalsAt(y0 + tiny);
+
+        while (v < vertexYs.length && vertexYs[v] <= y0)
+            v++;
+
+        for (var k = v; k < vertexYs.length && vertexYs[k] < y1; k++) {
+            intervals = intersectIntervals(intervals, intervalsAt(vertexYs[k] - tiny));
+            intervals = intersectIntervals(intervals, intervalsAt(vertexYs[k] + tiny));
+        }
+
+        inside[s] = intersectIntervals(intervals, intervalsAt(y1 - tiny));
+
+    }
+
+    // keep `margin` away from the edges of the shape
+    var marginStrips = Math.ceil(margin / resolution);
+
+    for (var s = 0; s < stripCount; s++) {
+
+        var intervals = inside[s];
+
+        for (var k = s - marginStrips; k <= s + marginStrips; k++)
+            intervals = (k < 0 || k >= stripCount) ? [] : intersectIntervals(intervals, inside[k]);
+
+        usable[s] = [];
+
+        for (var i = 0; i < intervals.length; i++) {
+            if (intervals[i][1] - intervals[i][0] > 2 * margin)
+                usable[s].push([intervals[i][0] + margin, intervals[i][1] - margin]);
+        }
+
+    }
+
+    // the rest of each strip is an obstacle,
+    // merged with the same obstacle in the strip above
+    var previous = [];
+
+    for (var s = 0; s < stripCount; s++) {
+
+        var y0 = s * resolution,
+            y1 = Math.min(height, y0 + resolution),
+            current = [],
+            x = 0;
+
+        for (var i = 0; i <= usable[s].length; i++) {
+
+            var x1 = i < usable[s].length ? usable[s][i][0] : width;
+
+            if (x1 > x) {
+
+                var obstacle = undefined;
+
+                for (var j = 0; j < previous.length; j++) {
+                    if (previous[j].x0 === x && previous[j].x1 === x1) {
+                        obstacle = previous[j];
+                        break;
+                    }
+                }
+
+                if (obstacle)
+                    obstacle.y1 = y1;
+                else
+                    obstacles.push(obstacle = { x0: x, y0: y0, x1: x1, y1: y1 });
+
+                current.push(obstacle);
+
+            }
+
+            if (i < usable[s].length)
+                x = usable[s][i][1];
+
+        }
+
+        previous = current;
+
+    }
+
+    // A block includes the padding on its right and below, which
+    // may hang outside the shape, so each obstacle's left and top
+    // edges move right and down by `padding` (always leaving a
+    // sliver, so that narrow obstacles still stop blocks crossing).
+    for (var i = 0, o; i < obstacles.length; i++) {
+        o = obstacles[i];
+        o.x0 = Math.min(o.x0 + padding, o.x1 - tiny);
+        o.y0 = Math.min(o.y0 + padding, o.y1 - tiny);
+    }
+
+    return obstacles;
+
+    /**
+     * Returns the sorted [x0, x1] intervals inside the shape along y.
+     * @param {Number} y - the y position, relative to the bin.
+     * @returns {Array<Array<Number>>}
+     */
+    function intervalsAt(y) {
+
+        var crossings = [],
+            intervals = [];
+
+        for (var i = 0, e; i < edges.length; i++) {
+
+            e = edges[i];
+
+            if (
+                (e[1] <= y && y < e[3])
+                || (e[3] <= y && y < e[1])
+            )
+                crossings.push(e[0] + (y - e[1]) * (e[2] - e[0]) / (e[3] - e[1]));
+
+        }
+
+        crossings.sort(function (a, b) { return a - b });
+
+        // even-odd fill
+        for (var i = 0; i + 1 < crossings.length; i += 2)
+            intervals.push([Math.max(0, crossings[i]), Math.min(width, crossings[i + 1])]);
+
+        return intervals;
+
+    };
+
+    /**
+     * Returns the intersection of two sorted interval lists.
+     * @param {Array<Array<Number>>} a - the first intervals.
+     * @param {Array<Array<Number>>} b - the second intervals.
+     * @returns {Array<Array<Number>>}
+     */
+    function intersectIntervals(a, b) {
+
+        var result = [],
+            i = 0,
+            j = 0;
+
+        while (i < a.length && j < b.length) {
+
+            var x0 = Math.max(a[i][0], b[j][0]),
+                x1 = Math.min(a[i][1], b[j][1]);
+
+            if (x1 > x0)
+                result.push([x0, x1]);
+
+            if (a[i][1] < b[j][1])
+                i++;
+            else
+                j++;
+
+        }
+
+        return result;
+
+    };
+
+};
+
+/**
+ * Returns a polygon approximating a bezier path.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<Object>} points - the path's points [{ anchor, leftDirection, rightDirection }, ...], each [x, y].
+ * @param {Number} [steps] - the number of straight segments for each curved segment (default: 8).
+ * @returns {Array<point>} - [[x, y], ...]
+ */
+function bezierPathToPolygon(points, steps) {
+
+    steps = steps || 8;
+
+    var polygon = [];
+
+    for (var i = 0; i < points.length; i++) {
+
+        var p0 = points[i].anchor,
+            c0 = points[i].rightDirection,
+            c1 = points[(i + 1) % points.length].leftDirection,
+            p1 = points[(i + 1) % points.length].anchor;
+
+        polygon.push(p0);
+
+        if (
+            c0[0] === p0[0] && c0[1] === p0[1]
+            && c1[0] === p1[0] && c1[1] === p1[1]
+        )
+            // straight segment
+            continue;
+
+        for (var j = 1; j < steps; j++) {
+
+            var t = j / steps,
+                u = 1 - t;
+
+            polygon.push([
+                u * u * u * p0[0] + 3 * u * u * t * c0[0] + 3 * u * t * t * c1[0] + t * t * t * p1[0],
+                u * u * u * p0[1] + 3 * u * u * t * c0[1] + 3 * u * t * t * c1[1] + t * t * t * p1[1],
+            ]);
+
+        }
+
+    }
+
+    return polygon;
+
+};
+
+/**
+ * Returns the guillotine cuts of `attempt` converted
+ * from packer coordinates to document coordinates, with
+ * positive Y axis, like the bin bounds. Each cut is placed
+ * in the middle of the space between items.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @param {Object} settings - the packing settings.
+ * @returns {Array<Object>} - [{ binIndex, orientation, position, start, end }, ...]
+ */
+function getCutLines(attempt, settings) {
+
+    var cutLines = [],
+        padding = settings.padding || 0;
+
+    for (var i = 0; i < attempt.cuts.length; i++) {
+
+        var cut = attempt.cuts[i],
+            bounds = settings.bins[cut.binIndex].bounds,
+            isHorizontal = 'horizontal' === cut.orientation,
+            // the position axis, then the extent axis
+            origin = isHorizontal ? [bounds[0], bounds[1]] : [bounds[1], bounds[0]],
+            size = isHorizontal ? [bounds[2] - bounds[0], bounds[3] - bounds[1]] : [bounds[3] - bounds[1], bounds[2] - bounds[0]];
+
+        cutLines.push({
+            binIndex: cut.binIndex,
+            orientation: cut.orientation,
+            position: origin[0] + clamp(cut.position - padding / 2, 0, size[0]),
+            start: origin[1] + clamp(cut.start - padding / 2, 0, size[1]),
+            end: origin[1] + clamp(cut.end - padding / 2, 0, size[1]),
+        });
+
+    }
+
+    return cutLines;
+
+    function clamp(n, min, max) {
+        return Math.max(min, Math.min(max, n));
+    };
+
+};
+
+/**
+ * Returns the trim lines of the attempt's packed blocks, in
+ * bleed mode, in document coordinates, with positive Y axis,
+ * like the bin bounds. Each trim edge is one line, and the
+ * edges of neighbouring blocks that meet, or line up, are
+ * joined, so a shared cut is only listed once.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @param {Object} settings - the packing settings.
+ * @returns {Array<Object>} - [{ binIndex, orientation, position, start, end }, ...], like `getCutLines`.
+ */
+function getTrimLines(attempt, settings) {
+
+    var padding = settings.padding || 0,
+        lines = {},
+        keys = [],
+        trimLines = [];
+
+    for (var i = 0; i < attempt.packedBlocks.length; i++) {
+
+        var block = attempt.packedBlocks[i],
+            bounds = settings.bins[block.binIndex].bounds,
+            x0 = bounds[1] + block.x0 + block.offsetX,
+            y0 = bounds[0] + block.y0 + block.offsetY,
+            x1 = x0 + block.w - padding,
+            y1 = y0 + block.h - padding;
+
+        addLine(block.binIndex, 'horizontal', y0, x0, x1);
+        addLine(block.binIndex, 'horizontal', y1, x0, x1);
+        addLine(block.binIndex, 'vertical', x0, y0, y1);
+        addLine(block.binIndex, 'vertical', x1, y0, y1);
+
+    }
+
+    // by bin, then horizontal lines first, from the top-left
+    keys.sort(function (a, b) {
+        return (lines[a][0].binIndex - lines[b][0].binIndex)
+            || (('horizontal' === lines[a][0].orientation ? 0 : 1) - ('horizontal' === lines[b][0].orientation ? 0 : 1))
+            || (lines[a][0].position - lines[b][0].position);
+    });
+
+    for (var i = 0; i < keys.length; i++) {
+
+        var segments = lines[keys[i]].sort(function (a, b) { return a.start - b.start }),
+            line = segments[0];
+
+        for (var j = 1; j < segments.length; j++) {
+
+            if (segments[j].start <= line.end + 0.001) {
+                // overlapping, or end to end
+                line.end = Math.max(line.end, segments[j].end);
+                continue;
+            }
+
+            trimLines.push(line);
+            line = segments[j];
+
+        }
+
+        trimLines.push(line);
+
+    }
+
+    return trimLines;
+
+    function addLine(binIndex, orientation, position, start, end) {
+
+        var key = binIndex + ' ' + orientation + ' ' + Math.round(position * 1000);
+
+        if (!lines[key]) {
+            lines[key] = [];
+            keys.push(key);
+        }
+
+        lines[key].push({ binIndex: binIndex, orientation: orientation, position: position, start: start, end: end });
+
+    };
+
+};
+
+/**
+ * Clips each packed block's bleed, in bleed mode, where it meets
+ * a neighbour's: the bleeds of two blocks that would overlap are
+ * both clipped in the middle of the space between their trim
+ * boxes, across the side that they face each other. A bleed is
+ * also clipped where it reaches a keep-out zone or the edge of
+ * a shaped bin (the bin's obstacles), and where it goes past the
+ * margin around the bin. Sets `block.clip` to the area to keep,
+ * { x0, y0, x1, y1 } in bin coordinates, for each block that
+ * needs clipping.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt, after `alignBlocks`.
+ * @param {Array<Object>} bins - the bins.
+ * @param {Number} [padding] - the space between the trim boxes, in points (default: 0).
+ * @param {Number} [margin] - the space around each bin that a bleed may use, in points (default: 0).
+ */
+function clipBleeds(attempt, bins, padding, margin) {
+
+    var results = getBinResults(attempt);
+
+    padding = padding || 0;
+    margin = margin || 0;
+
+    for (var r = 0; r < results.length; r++) {
+
+        if (!results[r])
+            continue;
+
+        var bin = bins[r],
+            obstacles = bin.obstacles || [],
+            // the bin's edges, plus its margin (a strip
+            // ends at the strip length, not its bin's bottom)
+            edges = {
+                x0: -margin,
+                y0: -margin,
+                x1: bin.bounds[3] - bin.bounds[1] + margin,
+                y1: (undefined != attempt.stripLength ? attempt.stripLength : bin.bounds[2] - bin.bounds[0]) + margin,
+            },
+            blocks = results[r].packedBlocks,
+            trims = [],
+            // each block's trim box, plus its bleed
+            arts = [];
+
+        for (var i = 0; i < blocks.length; i++) {
+
+            var block = blocks[i],
+                bleed = block.isRotated ? rotateSides(block.bleed) : block.bleed,
+                trim = {
+                    x0: block.x0 + block.offsetX,
+                    y0: block.y0 + block.offsetY,
+                    x1: block.x1 + block.offsetX - padding,
+                    y1: block.y1 + block.offsetY - padding,
+                };
+
+            trims.push(trim);
+            arts.push({ x0: trim.x0 - bleed.left, y0: trim.y0 - bleed.top, x1: trim.x1 + bleed.right, y1: trim.y1 + bleed.bottom });
+
+        }
+
+        for (var i = 0; i < blocks.length; i++) {
+
+            var a = trims[i],
+                clip = {
+                    x0: Math.max(arts[i].x0, Math.min(a.x0, edges.x0)),
+                    y0: Math.max(arts[i].y0, Math.min(a.y0, edges.y0)),
+                    x1: Math.min(arts[i].x1, Math.max(a.x1, edges.x1)),
+                    y1: Math.min(arts[i].y1, Math.max(a.y1, edges.y1)),
+                };
+
+            // clip at each obstacle that the bleed reaches, at its
+            // edge, across the side that faces the trim box
+            for (var j = 0, o; j < obstacles.length; j++) {
+
+                o = obstacles[j];
+
+                if (
+                    Math.min(arts[i].x1, o.x1) - Math.max(arts[i].x0, o.x0) <= 1e-6
+                    || Math.min(arts[i].y1, o.y1) - Math.max(arts[i].y0, o.y0) <= 1e-6
+                )
+                    continue;
+
+                var gapX = Math.max(o.x0 - a.x1, a.x0 - o.x1),
+                    gapY = Math.max(o.y0 - a.y1, a.y0 - o.y1);
+
+                if (gapX >= gapY) {
+
+                    if (o.x0 >= a.x1 - 1e-6)
+                        clip.x1 = Math.min(clip.x1, o.x0);
+                    else
+                        clip.x0 = Math.max(clip.x0, o.x1);
+
+                }
+
+                else {
+
+                    if (o.y0 >= a.y1 - 1e-6)
+                        clip.y1 = Math.min(clip.y1, o.y0);
+                    else
+                        clip.y0 = Math.max(clip.y0, o.y1);
+
+                }
+
+            }
+
+            for (var j = 0; j < blocks.length; j++) {
+
+                var b = trims[j];
+
+                if (
+                    i === j
+                    // the bleeds don't reach each other
+                    || Math.min(arts[i].x1, arts[j].x1) - Math.max(arts[i].x0, arts[j].x0) <= 1e-6
+                    || Math.min(arts[i].y1, arts[j].y1) - Math.max(arts[i].y0, arts[j].y0) <= 1e-6
+                )
+                    continue;
+
+                // clip across the axis with the wider space between the trim boxes
+                var gapX = Math.max(b.x0 - a.x1, a.x0 - b.x1),
+                    gapY = Math.max(b.y0 - a.y1, a.y0 - b.y1);
+
+                if (gapX >= gapY) {
+
+                    if (b.x0 >= a.x1 - 1e-6)
+                        clip.x1 = Math.min(clip.x1, (a.x1 + b.x0) / 2);
+                    else
+                        clip.x0 = Math.max(clip.x0, (b.x1 + a.x0) / 2);
+
+                }
+
+                else {
+
+                    if (b.y0 >= a.y1 - 1e-6)
+                        clip.y1 = Math.min(clip.y1, (a.y1 + b.y0) / 2);
+                    else
+                        clip.y0 = Math.max(clip.y0, (b.y1 + a.y0) / 2);
+
+                }
+
+            }
+
+            blocks[i].clip = (
+                clip.x0 !== arts[i].x0
+                || clip.y0 !== arts[i].y0
+                || clip.x1 !== arts[i].x1
+                || clip.y1 !== arts[i].y1
+            )
+                ? clip
+                : undefined;
+
+        }
+
+    }
+
+};
+
+/**
+ * Returns a text description of the cut sequence,
+ * measured from the top-left of each artboard or
+ * page, in the document's units.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<Object>} cutLines - the cut lines, from `getCutLines` or `getTrimLines`.
+ * @param {Object} settings - the packing settings.
+ * @param {Boolean} [showExtent] - whether to show where each cut starts and ends (default: false).
+ * @returns {String}
+ */
+function describeCutLines(cutLines, settings, showExtent) {
+
+    var lines = [],
+        unit = getDocumentUnit(settings.doc || app.activeDocument),
+        binIndex,
+        counter;
+
+    for (var i = 0; i < cutLines.length; i++) {
+
+        var cut = cutLines[i],
+            bin = settings.bins[cut.binIndex],
+            // the top-left of the artboard or page, or of a shaped bin
+            origin = bin.path
+                ? [bin.bounds[0], bin.bounds[1]]
+                : bin.artboard
+                    ? [-bin.artboard.artboardRect[1], bin.artboard.artboardRect[0]]
+                    : [bin.page.bounds[0], bin.page.bounds[1]];
+
+        if (binIndex !== cut.binIndex) {
+
+            binIndex = cut.binIndex;
+            counter = 0;
+
+            if (lines.length)
+                lines.push('');
+
+            lines.push('Cuts for ' + getBinLabel(bin, binIndex) + ':');
+
+        }
+
+        lines.push(
+            (++counter) + '. '
+            + ('horizontal' === cut.orientation
+                ? 'horizontal cut ' + formatLength(cut.position - origin[0], unit) + ' from top'
+                : 'vertical cut ' + formatLength(cut.position - origin[1], unit) + ' from left')
+            + (!showExtent
+                ? ''
+                : 'horizontal' === cut.orientation
+                    ? ', ' + formatLength(cut.start - origin[1], unit) + ' to ' + formatLength(cut.end - origin[1], unit) + ' from left'
+                    : ', ' + formatLength(cut.start - origin[0], unit) + ' to ' + formatLength(cut.end - origin[0], unit) + ' from top')
+        );
+
+    }
+
+    return lines.join('\n');
+
+};
+
+/**
+ * Returns the height of the packed blocks, in packer
+ * coordinates, including the padding below the lowest.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<Block>} blocks - the packed blocks.
+ * @returns {Number}
+ */
+function getPackedHeight(blocks) {
+
+    var height = 0;
+
+    for (var i = 0; i < blocks.length; i++) {
+        if (blocks[i].y1 > height)
+            height = blocks[i].y1;
+    }
+
+    return height;
+
+};
+
+/**
+ * Searches for a shorter strip than the one `attempt` packed:
+ * a binary search between the shortest possible strip and the
+ * attempt's strip, re-packing the same blocks, in the same order,
+ * rotation and groups, and with the same placement rule, into
+ * ever shorter bins.
+ * Updates `attempt` with the shortest packing found, and sets
+ * `attempt.stripLength` and `attempt.utilization`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the strip packing attempt.
+ * @param {Object} bin - the strip bin.
+ * @param {Object} settings - the packing settings.
+ */
+function shortenStrip(attempt, bin, settings) {
+
+    var blocks = attempt.packedBlocks,
+        padding = settings.padding || 0,
+        allow90DegreeRotation = true === settings.allow90DegreeRotation,
+        high = getPackedHeight(blocks),
+        low = 0,
+        area = 0;
+
+    // the strip can't be shorter than the tallest block,
+    // or than the blocks' area spread across its width
+    for (var i = 0; i < blocks.length; i++) {
+        area += blocks[i].w * blocks[i].h;
+        low = Math.max(low, canRotateBlock(blocks[i], allow90DegreeRotation) ? Math.min(blocks[i].w, blocks[i].h) : blocks[i].h);
+    }
+
+    low = Math.max(low, area / bin.width);
+
+    for (var step = 0; step < 12 && high - low > 1; step++) {
+
+        var trialBin = {
+            width: bin.width,
+            height: (low + high) / 2,
+            obstacles: bin.obstacles,
+            isStrip: bin.isStrip,
+        },
+            trialBlocks = [];
+
+        // copies keep each block's key, group, allowed bins and rotation
+        for (var i = 0, block; i < blocks.length; i++) {
+            block = blocks[i].copy();
+            block.packed = false;
+            trialBlocks.push(block);
+        }
+
+        orientBlocks(trialBlocks, attempt.origin);
+
+        var clearances = hasItemPadding(trialBlocks) ? new Clearances(attempt.origin, trialBin.isStrip, padding) : undefined,
+            packer = makePacker(attempt.packerType, orientBin(trialBin, attempt.origin), allow90DegreeRotation, attempt.placementRule, clearances),
+            units = getBlockUnits(trialBlocks),
+            isPacked = true;
+
+        packer.begin(0);
+
+        // each group is placed whole, as when packing the attempt
+        for (var n = 0; isPacked && n < units.length; n++) {
+
+            if (units[n].length > 1) {
+                isPacked = placeGroup(packer, units[n], settings.keepGroupsAdjacent);
+                continue;
+            }
+
+            var placement = packer.find(units[n][0]);
+
+            if (placement)
+                packer.place(units[n][0], placement);
+
+            else
+                isPacked = false;
+
+        }
+
+        var cuts = packer.cuts || [];
+
+        packer.destroy();
+
+        if (!isPacked) {
+            // too short
+            low = trialBin.height;
+            continue;
+        }
+
+        for (var i = 0; i < trialBlocks.length; i++)
+            trialBlocks[i].binIndex = 0;
+
+        high = getPackedHeight(trialBlocks);
+        attempt.packedBlocks = trialBlocks;
+        attempt.cuts = cuts;
+        restoreOrientation(attempt, [trialBin]);
+
+    }
+
+    attempt.stripLength = Math.max(0, getPackedHeight(attempt.packedBlocks) - padding);
+    attempt.utilization = getUtilization(attempt);
+
+};
+
+/**
+ * Compacts the attempt's packed blocks toward a corner of their
+ * bins: slides every block as far as it can go horizontally and
+ * then vertically, until it touches a neighbour, an obstacle or
+ * the bin edge, and repeats until nothing moves. The blocks keep
+ * their padding, including the items' own padding, and never
+ * overlap. When keeping groups adjacent, the blocks of each group
+ * slide together, so that they stay side by side. A strip is only
+ * compacted upwards, updating its length and utilization, and a
+ * guillotine layout not at all, so as to keep its cuts.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @param {Array<Object>} bins - the bins.
+ * @param {String} corner - 'top-left', 'top-right', 'bottom-left' or 'bottom-right'.
+ * @param {Number} [padding] - the padding, in points (default: 0).
+ * @param {Boolean} [keepGroupsAdjacent] - whether the blocks of each group must stay touching (default: false).
+ */
+function compactBlocks(attempt, bins, corner, padding, keepGroupsAdjacent) {
+
+    if (
+        !corner
+        || attempt.cuts.length > 0
+    )
+        return;
+
+    var results = getBinResults(attempt),
+        toRight = /right$/.test(corner),
+        toBottom = /^bottom/.test(corner),
+        // the blocks are back in bin coordinates
+        clearances = hasItemPadding(attempt.packedBlocks) ? new Clearances({ corner: 'top-left' }, false, padding) : undefined;
+
+    for (var i = 0; i < results.length; i++) {
+
+        if (!results[i])
+            continue;
+
+        var bin = bins[i],
+            blocks = results[i].packedBlocks,
+            // the blocks and obstacles in the way of each block
+            others = blocks.concat(bin.obstacles || []);
+
+        for (var pass = 0; pass < 100; pass++) {
+
+            // the blocks nearest the corner move first
+            blocks.sort(function (a, b) {
+                return (toRight ? b.x1 - a.x1 : a.x0 - b.x0) || (toBottom ? b.y1 - a.y1 : a.y0 - b.y0);
+            });
+
+            var moved = false,
+                units = true === keepGroupsAdjacent ? getBlockUnits(blocks) : [];
+
+            if (true !== keepGroupsAdjacent) {
+                for (var j = 0; j < blocks.length; j++)
+                    units.push([blocks[j]]);
+            }
+
+            for (var j = 0; j < units.length; j++) {
+                moved = slideBlocks(units[j], others, 'x', toRight ? bin.width : 0, clearances) || moved;
+                moved = slideBlocks(units[j], others, 'y', toBottom && !bin.isStrip ? bin.height : 0, clearances) || moved;
+            }
+
+            if (!moved)
+                break;
+
+        }
+
+    }
+
+    if (undefined != attempt.stripLength) {
+        // a shorter strip uses its length better
+        attempt.stripLength = Math.max(0, getPackedHeight(attempt.packedBlocks) - (padding || 0));
+        attempt.utilization = getUtilization(attempt);
+    }
+
+};
+
+/**
+ * Slides `blocks` together along one axis toward `edge`, until
+ * one of them touches one of `others` or the edge.
+ * @param {Array<Block>} blocks - the block to slide, or the blocks of a group.
+ * @param {Array<Object>} others - the blocks and obstacles in the bin, { x0, y0, x1, y1 }.
+ * @param {String} axis - 'x' or 'y'.
+ * @param {Number} edge - the bin edge to slide toward, either 0 or the bin's width or height.
+ * @param {Clearances} [clearances] - the clearances to keep around items with their own padding.
+ * @returns {Boolean} - whether the blocks moved.
+ */
+function slideBlocks(blocks, others, axis, edge, clearances) {
+
+    var a0 = axis + '0',
+        a1 = axis + '1',
+        b0 = 'x' === axis ? 'y0' : 'x0',
+        b1 = 'x' === axis ? 'y1' : 'x1',
+        toEnd = edge > 0,
+        // the blocks of a group don't stop each other
+        group = blocks.length > 1 ? blocks[0].group : undefined,
+        distance = Infinity;
+
+    for (var j = 0; j < blocks.length; j++) {
+
+        var block = blocks[j],
+            limit = edge;
 
-    // iterate through the rest of the bounds
-    for (var i = 1; i < boundsArray.length; i++) {
+        for (var i = 0, other; i < others.length; i++) {
 
-        var bounds = boundsArray[i];
+            other = others[i];
 
-        combinedBounds = [
-            comparator[0](combinedBounds[0], bounds[0]),
-            comparator[1](combinedBounds[1], bounds[1]),
-            comparator[2](combinedBounds[2], bounds[2]),
-            comparator[3](combinedBounds[3], bounds[3]),
-        ];
+            if (
+                other === block
+                || (undefined != group && group === other.group)
+            )
+                continue;
+
+            if (
+                clearances
+                // a block, rather than an obstacle
+                && undefined != other.w
+            )
+                other = expandRect(other, clearances.getSides(other, false), clearances.getSides(block, false), clearances.padding);
+
+            if (
+                // not alongside the block
+                other[b0] >= block[b1] - 1e-9
+                || other[b1] <= block[b0] + 1e-9
+            )
+                continue;
+
+            if (toEnd && other[a0] >= block[a1] - 1e-9)
+                limit = Math.min(limit, other[a0]);
+
+            else if (!toEnd && other[a1] <= block[a0] + 1e-9)
+                limit = Math.max(limit, other[a1]);
+
+        }
+
+        // how far the block can go, toward the edge
+        distance = Math.min(distance, toEnd ? limit - block[a1] : block[a0] - limit);
 
     }
 
-    return combinedBounds;
+    if (Math.abs(distance) < 1e-6)
+        return false;
+
+    for (var j = 0, size; j < blocks.length; j++) {
+        size = blocks[j][a1] - blocks[j][a0];
+        blocks[j][a0] += toEnd ? distance : -distance;
+        blocks[j][a1] = blocks[j][a0] + size;
+    }
+
+    return true;
 
 };
 
 /**
- * Returns the overlapping rectangle
- * of two or more rectangles.
- * NOTE: Returns undefined if ANY
- * rectangles do not intersect.
+ * Aligns the cluster of packed blocks within each bin, by
+ * setting each block's `offsetX` and `offsetY`, which are added
+ * when the items are positioned. 'justify' spreads the blocks
+ * out to fill the bin, by scaling each block's distance from the
+ * start of the cluster by the same amount, which can never make
+ * them overlap, but leaves uneven gaps, and pulls apart blocks
+ * that touch; so it isn't done when blocks must stay touching,
+ * in bleed mode or for adjacent groups. A bin is left as packed
+ * if aligning would push a block onto an obstacle; a strip is
+ * only aligned horizontally, and a guillotine layout not at all,
+ * so as to keep its cuts.
  * @author m1b
- * @version 2024-09-05
- * @param {Array<bounds>} arrayOfBounds - an array of bounds [L, T, R, B] or [T, L , B, R].
- * @returns {bounds?} - intersecting bounds.
+ * @version 2026-10-19
+ * @param {Attempt} attempt - the packing attempt.
+ * @param {Array<Object>} bins - the bins.
+ * @param {String} alignment - 'top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right' or 'justify'.
+ * @param {Boolean} [bleedMode] - whether the blocks' bleeds share trim lines (default: false).
+ * @param {Boolean} [keepGroupsAdjacent] - whether the blocks of each group must stay touching (default: false).
  */
-function intersectionOfBounds(arrayOfBounds) {
+function alignBlocks(attempt, bins, alignment, bleedMode, keepGroupsAdjacent) {
 
-    var comparator;
+    if (
+        !alignment
+        || 'top-left' === alignment
+        || attempt.cuts.length > 0
+    )
+        return;
 
-    if (APP_IS_INDESIGN)
-        comparator = [Math.max, Math.max, Math.min, Math.min];
+    if (
+        'justify' === alignment
+        && (
+            true === bleedMode
+            || (true === keepGroupsAdjacent && hasGroupedBlocks(attempt.packedBlocks))
+        )
+    ) {
+        attempt.info.push('The items weren\'t justified, as that would pull apart items that must touch.');
+        return;
+    }
 
-    else if (APP_IS_ILLUSTRATOR)
-        comparator = [Math.max, Math.min, Math.min, Math.max];
+    var results = getBinResults(attempt);
 
-    // sort a copy of array
-    var bounds = arrayOfBounds
-        .slice(0)
-        .sort(function (a, b) { return b[0] - a[0] || a[1] - b[1] });
+    for (var i = 0; i < results.length; i++) {
 
-    // start with first bounds
-    var intersection = bounds.shift(),
-        b;
+        if (!results[i])
+            continue;
 
-    // compare each bounds, getting smaller
-    while (b = bounds.shift()) {
+        var bin = bins[i],
+            blocks = results[i].packedBlocks,
+            bounds = getBlocksBounds(blocks),
+            scaleX = getJustifyScale(blocks, bounds, bin.width, 'x'),
+            scaleY = getJustifyScale(blocks, bounds, bin.height, 'y'),
+            offsets = [];
 
-        // if doesn't intersect, bail out
-        if (!boundsDoIntersect(intersection, b))
-            return;
+        for (var j = 0; j < blocks.length; j++) {
+            offsets[j] = {
+                x: getAlignmentOffset(blocks[j], bounds, bin.width, 'x', alignment, scaleX),
+                y: bin.isStrip ? 0 : getAlignmentOffset(blocks[j], bounds, bin.height, 'y', alignment, scaleY),
+            };
+        }
 
-        intersection = [
-            comparator[0](intersection[0], b[0]),
-            comparator[1](intersection[1], b[1]),
-            comparator[2](intersection[2], b[2]),
-            comparator[3](intersection[3], b[3]),
-        ];
+        if (alignmentHitsObstacle(blocks, offsets, bin.obstacles))
+            continue;
 
-    }
+        for (var j = 0; j < blocks.length; j++) {
+            blocks[j].offsetX = offsets[j].x;
+            blocks[j].offsetY = offsets[j].y;
+        }
 
-    return intersection;
+    }
 
 };
 
 /**
- * Returns true if the two bounds intersect.
- * @author m1b
- * @version 2024-03-10
- * @param {Array} bounds1 - bounds array.
- * @param {Array} bounds2 - bounds array.
- * @param {Boolean} [TLBR] - whether bounds arrays are interpreted as [t, l, b, r] or [l, t, r, b] (default: based on app).
+ * Returns true if any of the blocks belongs to a group.
+ * @param {Array<Block>} blocks - the blocks.
  * @returns {Boolean}
  */
-function boundsDoIntersect(bounds1, bounds2, TLBR) {
+function hasGroupedBlocks(blocks) {
 
-    if (undefined == TLBR)
-        TLBR = (APP_IS_INDESIGN);
+    for (var i = 0; i < blocks.length; i++) {
+        if (undefined != blocks[i].group)
+            return true;
+    }
 
-    return !(
+    return false;
 
-        TLBR
+};
 
-            // TLBR
-            ? (
-                bounds2[0] > bounds1[2]
-                || bounds2[1] > bounds1[3]
-                || bounds2[2] < bounds1[0]
-                || bounds2[3] < bounds1[1]
-            )
+/**
+ * Returns the offset of `block` along one axis, to align its cluster.
+ * @param {Block} block - the packed block.
+ * @param {Object} bounds - the bounds of the block's cluster, { x0, y0, x1, y1 }.
+ * @param {Number} size - the bin's width or height.
+ * @param {String} axis - 'x' or 'y'.
+ * @param {String} alignment - the alignment, see `alignBlocks`.
+ * @param {Number} scale - the scale of the gaps, for 'justify', from `getJustifyScale`.
+ * @returns {Number}
+ */
+function getAlignmentOffset(block, bounds, size, axis, alignment, scale) {
 
-            // LTRB
-            : (
-                bounds2[0] > bounds1[2]
-                || bounds2[1] < bounds1[3]
-                || bounds2[2] < bounds1[0]
-                || bounds2[3] > bounds1[1]
-            )
-    );
+    var start = bounds[axis + '0'],
+        spare = size - (bounds[axis + '1'] - start),
+        toStart = 'x' === axis ? /left$/ : /^top/,
+        toEnd = 'x' === axis ? /right$/ : /^bottom/;
+
+    if ('justify' === alignment) {
+
+        // scale the block's distance from the start of the cluster,
+        // so that the furthest block meets the end of the bin (the
+        // gaps grow with that distance, so they aren't even)
+        return (block[axis + '0'] - start) * scale - block[axis + '0'];
+
+    }
+
+    if (toStart.test(alignment))
+        return -start;
+
+    if (toEnd.test(alignment))
+        return spare - start;
+
+    // centered on this axis
+    return spare / 2 - start;
 
 };
 
 /**
- * Draws a rectangle to the document.
- * @param {Document|Layer|GroupItem} container - an Illustrator container.
- * @param {Array<Number>} bounds - [T, L, B, R]
- * @param {Object} props - properties to assign to the rectangle.
- * @return {PathItem}
+ * Returns the scale of the blocks' distances from the start of
+ * their cluster that spreads them across the bin, or 1 if they
+ * can't be spread.
+ * @param {Array<Block>} blocks - the blocks in the cluster.
+ * @param {Object} bounds - the bounds of the cluster, from `getBlocksBounds`.
+ * @param {Number} size - the bin's width or height.
+ * @param {String} axis - 'x' or 'y'.
+ * @returns {Number}
  */
-function drawRectangleIllustrator(container, bounds, properties) {
+function getJustifyScale(blocks, bounds, size, axis) {
 
-    properties = properties || {};
+    var start = bounds[axis + '0'],
+        scale = Infinity;
 
-    var rectangle = container.pathItems.rectangle(bounds[1], bounds[0], bounds[2] - bounds[0], -(bounds[3] - bounds[1])); // TLWH
+    for (var i = 0, distance; i < blocks.length; i++) {
 
-    // defaults
-    rectangle.filled = true;
-    rectangle.stroked = false;
+        distance = blocks[i][axis + '0'] - start;
 
-    // apply properties
-    for (var key in properties)
-        if (properties.hasOwnProperty(key))
-            rectangle[key] = properties[key];
+        if (distance > 0)
+            scale = Math.min(scale, (size - (blocks[i][axis + '1'] - blocks[i][axis + '0'])) / distance);
 
-    return rectangle;
+    }
+
+    return scale === Infinity ? 1 : Math.max(1, scale);
 
 };
 
 /**
- * Shuffles `things` array into random order;
- * Based on Fischer Yates algorithm.
- * @param {Array<*>} things - the things to shuffle.
- * @returns {Array<*>}
+ * Returns true when any of the blocks, moved by its offset, overlaps an obstacle.
+ * @param {Array<Block>} blocks - the packed blocks.
+ * @param {Array<Object>} offsets - the offset of each block, { x, y }.
+ * @param {Array<Object>} [obstacles] - the bin's obstacles, { x0, y0, x1, y1 }.
+ * @returns {Boolean}
  */
-function shuffle(things) {
+function alignmentHitsObstacle(blocks, offsets, obstacles) {
 
-    // randomises order of an array
-    if (!things)
-        throw Error("shuffle: no `things` supplied.");
+    if (!obstacles)
+        return false;
 
-    var i = things.length,
-        j = 0,
-        temp;
+    for (var i = 0; i < blocks.length; i++) {
 
-    while (i--) {
+        for (var j = 0, o; j < obstacles.length; j++) {
 
-        j = Math.floor(Math.random() * (i + 1));
-        // swap randomly chosen element with current element
-        temp = things[i];
-        things[i] = things[j];
-        things[j] = temp;
+            o = obstacles[j];
+
+            if (
+                blocks[i].x0 + offsets[i].x < o.x1 - 1e-9
+                && o.x0 < blocks[i].x1 + offsets[i].x - 1e-9
+                && blocks[i].y0 + offsets[i].y < o.y1 - 1e-9
+                && o.y0 < blocks[i].y1 + offsets[i].y - 1e-9
+            )
+                return true;
+
+        }
 
     }
 
-    return things.slice(0);
+    return false;
 
 };
 
-function rotate(item) {
+/**
+ * Searches for the smallest bin that holds every item,
+ * making packing attempts at each size it tries, by one of:
+ *   'width': keeps the bin's width, and finds the shortest length;
+ *   'aspect': keeps the proportions of the artboard or page,
+ *             and finds the smallest scale;
+ *   'area': tries a range of widths, finding the shortest
+ *           length for each, and keeps the smallest area.
+ * The bin's top-left corner stays put. Returns the best attempt,
+ * with its `bin`, and its `frameSize`: the size of the artboard
+ * or page that holds the bin, including the margins.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Object} settings - the packing settings.
+ * @param {Array<PageItem>} items - the items to pack.
+ * @param {Object} bin - the bin to fit.
+ * @param {Array<Number>} insets - the margins between the artboard or page and the bin [T, L, B, R].
+ * @param {Array<bounds>} [keepOutBounds] - the bounds of artwork to keep out of the bin.
+ * @param {Number} [seed] - the seed for every random choice (default: a new seed).
+ * @returns {Attempt?} - undefined if the items don't fit in any size tried.
+ */
+function fitBinToItems(settings, items, bin, insets, keepOutBounds, seed) {
+
+    var fitBy = settings.fitBinToItems,
+        padding = settings.padding || 0,
+        top = bin.bounds[0],
+        left = bin.bounds[1],
+        binWidth = bin.bounds[3] - bin.bounds[1],
+        binHeight = bin.bounds[2] - bin.bounds[0],
+        insetWidth = insets[1] + insets[3],
+        insetHeight = insets[0] + insets[2],
+        best;
+
+    // every size tried uses the same seed
+    seed = seed || makeSeed();
+
+    // share any time budget between the sizes tried, roughly
+    var searchSeconds = settings.searchSeconds
+        ? settings.searchSeconds / ('width' === fitBy ? 1 : 'area' === fitBy ? 9 : 16)
+        : undefined;
+
+    if ('width' === fitBy)
+        best = packStrip(binWidth);
+
+    else if ('aspect' === fitBy) {
+
+        var frameWidth = binWidth + insetWidth,
+            frameHeight = binHeight + insetHeight,
+            maxScale = MAX_BIN_SIZE / Math.max(frameWidth, frameHeight),
+            low = 0,
+            high = Math.min(1, maxScale);
+
+        // grow until everything fits
+        while (
+            !(best = packScaled(high))
+            && high < maxScale
+        ) {
+            low = high;
+            high = Math.min(high * 2, maxScale);
+        }
 
-}
+        // then shrink as far as possible
+        for (var step = 0; best && step < 8; step++) {
+
+            var scale = (low + high) / 2,
+                attempt = packScaled(scale);
+
+            if (attempt) {
+                best = attempt;
+                high = scale;
+            }
+
+            else {
+                low = scale;
+            }
+
+        }
+
+    }
+
+    else if ('area' === fitBy) {
+
+        var allow90DegreeRotation = true === settings.allow90DegreeRotation,
+            area = 0,
+            minWidth = 0;
+
+        for (var i = 0, block; i < items.length; i++) {
+
+            if (0 === getQuantity(settings.quantities, i))
+                continue;
+
+            block = new Block(settings, items[i], i);
+            area += block.w * block.h * getQuantity(settings.quantities, i);
+            minWidth = Math.max(minWidth, (canRotateBlock(block, allow90DegreeRotation) ? Math.min(block.w, block.h) : block.w) - padding);
+
+        }
+
+        // widths from half to double the side of a square
+        for (var i = 0, previousWidth; i <= 8; i++) {
+
+            var width = Math.min(MAX_BIN_SIZE - insetWidth, Math.max(minWidth, Math.sqrt(area) * Math.pow(2, (i - 4) / 4)));
+
+            if (width === previousWidth)
+                continue;
+
+            previousWidth = width;
+
+            var attempt = packStrip(width);
+
+            if (
+                attempt
+                && (
+                    undefined == best
+                    || attempt.frameSize[0] * attempt.frameSize[1] < best.frameSize[0] * best.frameSize[1]
+                )
+            )
+                best = attempt;
+
+        }
+
+    }
+
+    return best;
+
+    /**
+     * Returns a bin of the given size, at the bin's top-left.
+     * @param {Number} width - the width of the bin.
+     * @param {Number} height - the height of the bin.
+     * @returns {Object}
+     */
+    function makeBin(width, height) {
+
+        var newBin = {
+            artboard: bin.artboard,
+            page: bin.page,
+            number: bin.number,
+            bounds: [top, left, top + height, left + width],
+            width: width + padding,
+            height: height + padding,
+        };
+
+        newBin.obstacles = getBinObstacles(newBin, keepOutBounds || [], padding);
+
+        return newBin;
+
+    };
+
+    /**
+     * Returns the best attempt at packing every item
+     * into the artboard or page scaled by `scale`.
+     * @param {Number} scale - the scale of the artboard or page.
+     * @returns {Attempt?}
+     */
+    function packScaled(scale) {
+
+        var width = frameWidth * scale - insetWidth,
+            height = frameHeight * scale - insetHeight;
+
+        if (width <= 0 || height <= 0)
+            return;
+
+        var scaledBin = makeBin(width, height),
+            attempt = findBestAttempt(settings, items, [scaledBin], false, seed, searchSeconds);
+
+        if (attempt.remainingBlocks.length > 0)
+            return;
+
+        attempt.bin = scaledBin;
+        attempt.frameSize = [frameWidth * scale, frameHeight * scale];
+
+        return attempt;
+
+    };
+
+    /**
+     * Returns the best attempt at packing every item
+     * into the shortest strip of the given width.
+     * @param {Number} width - the width of the strip.
+     * @returns {Attempt?}
+     */
+    function packStrip(width) {
+
+        var strip = makeBin(width, MAX_BIN_SIZE - insetHeight);
+
+        strip.isStrip = true;
+
+        var attempt = findBestAttempt(settings, items, [strip], false, seed, searchSeconds);
+
+        if (attempt.remainingBlocks.length > 0)
+            return;
+
+        shortenStrip(attempt, strip, settings);
+
+        attempt.bin = makeBin(width, attempt.stripLength);
+        attempt.frameSize = [width + insetWidth, attempt.stripLength + insetHeight];
+
+        return attempt;
+
+    };
+
+};
 
 /**
- * Draws and returns a Rectangle.
- * For Indesign
+ * Returns the abbreviation of the document's
+ * measurement unit: 'mm', 'cm', 'in' or 'pt'.
  * @author m1b
- * @version 2023-08-24
- * @param {Document|Layer|Group} container - the container for the rectangle.
- * @param {Array<Number>} bounds - rectangle bounds [T,L,B,R].
- * @returns {Rectangle}
+ * @version 2026-10-19
+ * @param {Document} doc - an Illustrator or Indesign Document.
+ * @returns {String}
  */
-function drawRectangleIndesign(container, bounds, props) {
+function getDocumentUnit(doc) {
 
-    var rectangle = container.rectangles.add({
-        geometricBounds: bounds,
-    });
+    if (APP_IS_INDESIGN) {
 
-    if (props)
-        rectangle.properties = props;
+        var units = doc.viewPreferences.horizontalMeasurementUnits;
 
-    return rectangle;
+        if (MeasurementUnits.MILLIMETERS == units)
+            return 'mm';
+
+        if (MeasurementUnits.CENTIMETERS == units)
+            return 'cm';
+
+        if (MeasurementUnits.INCHES == units || MeasurementUnits.INCHES_DECIMAL == units)
+            return 'in';
+
+    }
+
+    else {
+
+        var units = doc.rulerUnits;
 
+        if (RulerUnits.Millimeters == units)
+            return 'mm';
+
+        if (RulerUnits.Centimeters == units)
+            return 'cm';
+
+        if (RulerUnits.Inches == units)
+            return 'in';
+
+    }
+
+    return 'pt';
+
+};
+
+/**
+ * Returns a length, in points, as text in `unit`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Number} length - the length, in points.
+ * @param {String} unit - 'mm', 'cm', 'in' or 'pt'.
+ * @returns {String} - eg. '297 mm'.
+ */
+function formatLength(length, unit) {
+    return round(length / getUnitStringAsPoints('1' + unit), 2) + ' ' + unit;
+};
+
+/**
+ * Returns the dimensions, in points, as text in `unit`.
+ * @author m1b
+ * @version 2026-10-19
+ * @param {Array<Number>} dimensions - the dimensions [width, height], in points.
+ * @param {String} unit - 'mm', 'cm', 'in' or 'pt'.
+ * @returns {String} - eg. '210 x 297 mm'.
+ */
+function formatDimensions(dimensions, unit) {
+    return round(dimensions[0] / getUnitStringAsPoints('1' + unit), 2) + ' x ' + formatLength(dimensions[1], unit);
 };
 
 /**